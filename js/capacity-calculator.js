@@ -0,0 +1,114 @@
+// Development Capacity Calculator for OCP Explorer
+// Property panel form estimating floor area, footprint, storeys and units for a lot under its zone
+
+let lastLotArea = null; // m², kept so the form survives the panel re-rendering
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeCapacityCalculator();
+});
+
+function initializeCapacityCalculator() {
+    const propertyInfo = document.getElementById('property-info');
+    if (!propertyInfo) return;
+
+    // The form is re-created with every panel update, so listen on the container
+    propertyInfo.addEventListener('submit', function(e) {
+        const form = e.target.closest('.capacity-form');
+        if (!form) return;
+
+        e.preventDefault();
+        const value = parseFloat(form.elements.lotArea.value);
+        const lotArea = form.elements.unit.value === 'ft2' ? value * OCPDataHandler.SQUARE_METRES_PER_SQUARE_FOOT : value;
+        calculateCapacity(form.closest('.capacity-calculator'), lotArea);
+    });
+}
+
+function buildCapacityCalculatorHtml(zoneCode) {
+    return `
+        <div class="capacity-calculator" data-zone-code="${escapeHtml(zoneCode)}">
+            <h5>Development Capacity</h5>
+            <form class="capacity-form">
+                <label>
+                    Lot area
+                    <input type="number" name="lotArea" min="1" step="any" required
+                           value="${lastLotArea !== null ? Math.round(lastLotArea) : ''}" placeholder="e.g. 600">
+                </label>
+                <select name="unit" aria-label="Lot area unit">
+                    <option value="m2">m²</option>
+                    <option value="ft2">ft²</option>
+                </select>
+                <button type="submit">Calculate</button>
+            </form>
+            <div class="capacity-result" aria-live="polite"></div>
+        </div>
+    `;
+}
+
+function calculateCapacity(calculator, lotArea) {
+    const result = calculator.querySelector('.capacity-result');
+
+    try {
+        const capacity = window.ocpDataHandler.calculateDevelopmentCapacity(calculator.dataset.zoneCode, lotArea);
+        if (!capacity) {
+            result.innerHTML = '<p class="regulation-warning">No regulations are available for this zone.</p>';
+            return null;
+        }
+
+        lastLotArea = lotArea;
+        result.innerHTML = renderCapacityResult(capacity);
+        return capacity;
+    } catch (error) {
+        result.innerHTML = `<p class="regulation-warning">${escapeHtml(error.message)}</p>`;
+        return null;
+    }
+}
+
+function renderCapacityResult(capacity) {
+    const regulations = window.ocpDataHandler.getZoneRegulations(capacity.zoneCode);
+    const formatArea = value => `${Math.round(value).toLocaleString()} m²`;
+
+    // Null figures are either left to approval or not regulated at all
+    const describe = (value, limit, format) => {
+        if (value !== null) return format(value);
+        return capacity.variable.includes(limit) ? 'Set case by case' : 'Not regulated';
+    };
+
+    const rows = [
+        ['Lot area', formatArea(capacity.lotArea)],
+        [`Max floor area${regulations.far.value !== null ? ` (FAR ${regulations.far.value})` : ''}`,
+            describe(capacity.maxFloorArea, 'FAR', formatArea) + (capacity.limitedBy === 'height' ? ' (height-limited)' : '')],
+        [`Building footprint${regulations.lotCoverage.value !== null ? ` (${Math.round(regulations.lotCoverage.value * 100)}% coverage)` : ''}`,
+            describe(capacity.maxFootprint, 'lot coverage', formatArea)],
+        ['Approx. storeys', describe(capacity.storeys, 'height', value => `≈${value}`)],
+        ['Estimated units', capacity.estimatedUnits !== null ? `≈${capacity.estimatedUnits}` : '—']
+    ];
+
+    return `
+        <table class="capacity-table">
+            <tbody>
+                ${rows.map(([label, value]) => `<tr><th scope="row">${label}</th><td>${value}</td></tr>`).join('')}
+            </tbody>
+        </table>
+        ${capacity.warnings.map(warning => `<p class="regulation-warning">⚠️ ${escapeHtml(warning)}</p>`).join('')}
+        ${capacity.notes.map(note => `<p class="regulation-note">${escapeHtml(note)}</p>`).join('')}
+        <p class="regulation-note">Estimates only; setbacks, parking and design guidelines will reduce what fits on a real site.</p>
+    `;
+}
+
+// Fill in the lot area from elsewhere (e.g. a measured site) and recalculate
+function setCapacityLotArea(lotArea) {
+    lastLotArea = lotArea;
+
+    const calculator = document.querySelector('#property-info .capacity-calculator');
+    if (!calculator) return null;
+
+    calculator.querySelector('[name="lotArea"]').value = Math.round(lotArea);
+    calculator.querySelector('[name="unit"]').value = 'm2';
+    return calculateCapacity(calculator, lotArea);
+}
+
+// Export for use in other scripts
+window.capacityCalculator = {
+    buildHtml: buildCapacityCalculatorHtml,
+    setLotArea: setCapacityLotArea
+};
@@ -0,0 +1,266 @@
+// Data Export for OCP Explorer
+// Shared serializer turning location analysis and search results into JSON, CSV and GeoJSON downloads
+
+const OCP_EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+const EXPORT_SOURCE = 'New Westminster Official Community Plan (2017) via OCP Explorer';
+
+// Typed zoning values shared by location and search exports
+function summarizeRegulations(regulations) {
+    if (!regulations) return null;
+
+    const setbacks = {};
+    Object.entries(regulations.setbacks || {}).forEach(([side, measure]) => {
+        setbacks[side] = measure.value;
+    });
+
+    return {
+        heightText: regulations.height.text,
+        maxHeightMetres: regulations.height.maxMetres,
+        maxStoreys: regulations.height.maxStoreys,
+        minHeightMetres: regulations.height.minimum?.minMetres ?? null,
+        far: regulations.far.value,
+        lotCoverage: regulations.lotCoverage.value,
+        minLotSizeSquareMetres: regulations.minLotSize.value,
+        setbacksMetres: setbacks,
+        variable: regulations.variable,
+        subjectToApproval: regulations.subjectToApproval,
+        warnings: regulations.warnings.map(warning => `${warning.field}: ${warning.message}`)
+    };
+}
+
+// Export records pair structured properties with a GeoJSON geometry (or null)
+function buildLocationExportRecord(locationInfo) {
+    const { lat, lng } = locationInfo.coordinates;
+    const { landUse, landUseArea, zoning, zoningArea, boundaryFeature } = locationInfo;
+
+    return {
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties: {
+            recordType: 'location',
+            latitude: lat,
+            longitude: lng,
+            withinBoundary: locationInfo.withinBoundary,
+            boundaryFeature: boundaryFeature ? {
+                id: boundaryFeature.id,
+                district: boundaryFeature.district,
+                label: boundaryFeature.label
+            } : null,
+            landUse: landUse ? {
+                code: landUse.code,
+                name: landUse.name,
+                category: landUse.category ?? null,
+                density: landUse.maxDensity ?? null,
+                areaId: landUseArea?.id ?? null,
+                areaSquareMetres: landUseArea?.area ?? null
+            } : null,
+            zoning: zoning ? {
+                code: zoning.code,
+                name: zoning.name,
+                category: zoning.category,
+                areaId: zoningArea?.id ?? null,
+                areaSquareMetres: zoningArea?.area ?? null
+            } : null,
+            regulations: summarizeRegulations(locationInfo.regulations),
+            transit: locationInfo.transit ? {
+                nearestStation: locationInfo.transit.nearestStation.name,
+                distanceMetres: Math.round(locationInfo.transit.distance),
+                walkRadiusMetres: locationInfo.transit.walkRadius,
+                inFTDA: locationInfo.transit.inFTDA,
+                ftdaStation: locationInfo.transit.ftdaStation?.name ?? null
+            } : null,
+            policyIds: (locationInfo.policies || []).map(policy => policy.id),
+            requirements: (locationInfo.restrictions || []).map(restriction => restriction.label),
+            guidelineIds: (locationInfo.guidelines || []).map(guideline => guideline.id),
+            specialAreas: (locationInfo.specialAreas || []).map(area => area.name)
+        }
+    };
+}
+
+// Designation and zone results carry the polygons they cover; location results their point
+function buildSearchExportRecords(searchResult, dataHandler = null) {
+    return (searchResult.results || []).map((result, index) => {
+        let geometry = null;
+        let layerName = null;
+
+        switch (result.type) {
+            case 'landUse':
+            case 'land-use':
+            case 'ai-mentioned':
+                layerName = 'landUse';
+                break;
+            case 'zoning':
+                layerName = 'zoning';
+                break;
+            case 'location-specific': {
+                const coordinates = result.data?.coordinates;
+                if (coordinates) geometry = { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] };
+                break;
+            }
+        }
+
+        if (layerName && result.code && dataHandler) {
+            geometry = dataHandler.getAreaGeometry(layerName, result.code);
+        }
+
+        return {
+            geometry,
+            properties: {
+                recordType: 'searchResult',
+                query: searchResult.query ?? null,
+                rank: index + 1,
+                resultType: result.type,
+                code: result.code ?? null,
+                name: result.name ?? null,
+                category: result.category ?? null,
+                matchReason: result.matchReason ?? null,
+                description: result.description ?? null,
+                regulations: summarizeRegulations(result.regulations)
+            }
+        };
+    });
+}
+
+// Nested properties become dotted column names; lists are joined with semicolons
+function flattenExportProperties(properties, prefix = '', flat = {}) {
+    Object.entries(properties).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+
+        if (Array.isArray(value)) {
+            flat[name] = value.join('; ');
+        } else if (value && typeof value === 'object') {
+            flattenExportProperties(value, name, flat);
+        } else {
+            flat[name] = value ?? null;
+        }
+    });
+
+    return flat;
+}
+
+function toJsonExport(records, exportedAt) {
+    return JSON.stringify({
+        source: EXPORT_SOURCE,
+        exportedAt: exportedAt.toISOString(),
+        records: records.map(record => record.properties)
+    }, null, 2);
+}
+
+function toCsvExport(records) {
+    const rows = records.map(record => flattenExportProperties(record.properties));
+
+    // Union of columns in first-seen order, since optional sections differ between records
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        });
+    });
+
+    const lines = [columns.map(formatCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    });
+
+    return lines.join('\r\n');
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    // Keep spreadsheets from evaluating text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toGeoJsonExport(records, exportedAt) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: {
+            source: EXPORT_SOURCE,
+            exportedAt: exportedAt.toISOString()
+        },
+        features: records.map(record => ({
+            type: 'Feature',
+            geometry: record.geometry,
+            properties: flattenExportProperties(record.properties)
+        }))
+    });
+}
+
+// Serialize records in one of OCP_EXPORT_FORMATS
+function serializeExport(records, format, exportedAt = new Date()) {
+    switch (format) {
+        case 'json':
+            return toJsonExport(records, exportedAt);
+        case 'csv':
+            return toCsvExport(records);
+        case 'geojson':
+            return toGeoJsonExport(records, exportedAt);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// Save serialized records as a file through a temporary download link
+function downloadExport(records, format, fileBaseName) {
+    const formatInfo = OCP_EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const blob = new Blob([serializeExport(records, format)], { type: formatInfo.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileBaseName}.${formatInfo.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Buttons offering every format, wired up by the panel that renders them
+function buildExportButtonsHtml(label) {
+    return `
+        <div class="export-actions" role="group" aria-label="${label}">
+            <span class="export-label">${label}:</span>
+            ${Object.entries(OCP_EXPORT_FORMATS).map(([format, info]) => `
+                <button type="button" class="export-btn" data-export-format="${format}">${info.label}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+if (typeof window !== 'undefined') {
+    window.ocpExport = {
+        formats: OCP_EXPORT_FORMATS,
+        buildLocationRecord: buildLocationExportRecord,
+        buildSearchRecords: buildSearchExportRecords,
+        flattenProperties: flattenExportProperties,
+        serialize: serializeExport,
+        download: downloadExport,
+        buildButtonsHtml: buildExportButtonsHtml
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OCP_EXPORT_FORMATS,
+        buildLocationExportRecord,
+        buildSearchExportRecords,
+        flattenExportProperties,
+        serializeExport
+    };
+}
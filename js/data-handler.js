@@ -7,11 +7,29 @@ class OCPDataHandler {
             landUse: null,
             zoning: null,
             policies: null,
-            cityBoundary: null
+            cityBoundary: null,
+            landUseAreas: null,
+            zoningAreas: null,
+            transitStations: null,
+            specialAreaPolygons: null,
+            amenities: null // Loaded on the first nearby search
         };
         this.isLoaded = false;
         this.loadingPromise = null;
-        this.boundaryGeometry = null; // Store parsed boundary geometry
+        this.amenitiesPromise = null;
+        this.spatialIndexes = {}; // R-tree per queryable layer
+        this.textIndex = null; // Full-text index over designations, zones and policy text
+        this.keywordGroups = new Map(); // Synonym group -> keywords, from the data files
+        this.zoneRegulations = {}; // Typed regulations per zone code
+        this.regulationWarnings = []; // Zoning values that could not be normalized
+
+        // Queryable layer names and the data they index
+        this.spatialLayers = {
+            boundary: 'cityBoundary',
+            landUse: 'landUseAreas',
+            zoning: 'zoningAreas',
+            specialAreas: 'specialAreaPolygons'
+        };
     }
 
     // Initialize and load all data
@@ -29,15 +47,23 @@ class OCPDataHandler {
         try {
             console.log('Loading OCP data...');
             
-            const [landUseResponse, zoningResponse, policiesResponse, boundaryResponse] = await Promise.all([
+            const [landUseResponse, zoningResponse, policiesResponse, boundaryResponse,
+                   landUseAreasResponse, zoningAreasResponse, transitStationsResponse,
+                   specialAreasResponse] = await Promise.all([
                 fetch('data/land-use.json'),
                 fetch('data/zoning.json'), 
                 fetch('data/ocp-policies.json'),
-                fetch('data/City_Boundary.geojson')
+                fetch('data/City_Boundary.geojson'),
+                fetch('data/Land_Use_Designations.geojson'),
+                fetch('data/Zoning_Districts.geojson'),
+                fetch('data/transit-stations.json'),
+                fetch('data/Special_Areas.geojson')
             ]);
 
             // Check if all responses are OK
-            if (!landUseResponse.ok || !zoningResponse.ok || !policiesResponse.ok || !boundaryResponse.ok) {
+            if (!landUseResponse.ok || !zoningResponse.ok || !policiesResponse.ok || !boundaryResponse.ok ||
+                !landUseAreasResponse.ok || !zoningAreasResponse.ok || !transitStationsResponse.ok ||
+                !specialAreasResponse.ok) {
                 throw new Error('Failed to load one or more data files');
             }
 
@@ -46,9 +72,20 @@ class OCPDataHandler {
             this.data.zoning = await zoningResponse.json();
             this.data.policies = await policiesResponse.json();
             this.data.cityBoundary = await boundaryResponse.json();
+            this.data.landUseAreas = await landUseAreasResponse.json();
+            this.data.zoningAreas = await zoningAreasResponse.json();
+            this.data.transitStations = await transitStationsResponse.json();
+            this.data.specialAreaPolygons = await specialAreasResponse.json();
+
+            // Index every polygon layer once so point lookups stay fast
+            this.buildSpatialIndexes();
 
-            // Process boundary geometry for precise point-in-polygon checks
-            this.processBoundaryGeometry();
+            // Parse the zoning strings into numbers once for filtering and comparison
+            this.buildZoneRegulations();
+
+            // Index the designation, zoning and policy text for ranked search
+            this.buildTextIndex();
+            this.buildKeywordGroups();
 
             this.isLoaded = true;
             console.log('OCP data loaded successfully');
@@ -65,26 +102,32 @@ class OCPDataHandler {
         }
     }
 
-    // Process boundary geometry for efficient point-in-polygon checks
-    processBoundaryGeometry() {
-        if (!this.data.cityBoundary || !this.data.cityBoundary.features) {
-            console.warn('No boundary data available');
-            return;
+    // Flatten a GeoJSON geometry into a list of polygons.
+    // Each polygon is a list of rings: the exterior ring first, followed by any holes.
+    extractPolygons(geometry) {
+        if (!geometry) return [];
+
+        switch (geometry.type) {
+            case 'Polygon':
+                return geometry.coordinates.length > 0 ? [geometry.coordinates] : [];
+            case 'MultiPolygon':
+                return geometry.coordinates.filter(polygon => polygon.length > 0);
+            case 'GeometryCollection':
+                return geometry.geometries.flatMap(child => this.extractPolygons(child));
+            default:
+                return [];
         }
+    }
 
-        // Extract all polygon coordinates from the GeoJSON
-        this.boundaryGeometry = [];
-        
-        this.data.cityBoundary.features.forEach(feature => {
-            if (feature.geometry && feature.geometry.type === 'Polygon') {
-                // Each polygon can have multiple rings (exterior + holes)
-                feature.geometry.coordinates.forEach(ring => {
-                    this.boundaryGeometry.push(ring);
-                });
-            }
-        });
+    // Check a point against a polygon's exterior ring and holes
+    isPointInPolygonWithHoles(lat, lng, rings) {
+        const [exterior, ...holes] = rings;
 
-        console.log('Boundary geometry processed:', this.boundaryGeometry.length, 'rings');
+        if (!this.isPointInPolygon(lat, lng, exterior)) {
+            return false;
+        }
+
+        return !holes.some(hole => this.isPointInPolygon(lat, lng, hole));
     }
 
     // Precise point-in-polygon check using ray casting algorithm
@@ -108,7 +151,7 @@ class OCPDataHandler {
 
     // Check if coordinates are within New Westminster using precise geometry
     async isWithinNewWestminster(lat, lng) {
-        if (!this.boundaryGeometry || this.boundaryGeometry.length === 0) {
+        if (!this.spatialIndexes.boundary) {
             console.warn('Boundary geometry not available, using fallback bounds');
             // Fallback to rough bounds if geometry not available
             const bounds = {
@@ -121,14 +164,134 @@ class OCPDataHandler {
                    lng >= bounds.west && lng <= bounds.east;
         }
 
-        // Check against all boundary polygons
-        for (const ring of this.boundaryGeometry) {
-            if (this.isPointInPolygon(lat, lng, ring)) {
-                return true;
+        return this.queryPoint('boundary', lat, lng).length > 0;
+    }
+
+    // Build an R-tree over the feature bounding boxes of every queryable layer
+    buildSpatialIndexes() {
+        for (const [layerName, dataKey] of Object.entries(this.spatialLayers)) {
+            const collection = this.data[dataKey];
+            if (collection && collection.features) {
+                this.buildSpatialIndex(layerName, collection.features);
             }
         }
+    }
+
+    // Build the R-tree for a single layer from its GeoJSON features
+    buildSpatialIndex(layerName, features) {
+        const IndexClass = typeof SpatialIndex !== 'undefined' ? SpatialIndex : require('./spatial-index');
+
+        const items = features
+            .filter(feature => feature.geometry)
+            .map(feature => ({
+                ...IndexClass.getBounds(feature.geometry),
+                feature,
+                polygons: this.extractPolygons(feature.geometry)
+            }));
+
+        this.spatialIndexes[layerName] = new IndexClass().load(items);
+        console.log(`Spatial index built for ${layerName}:`, items.length, 'features');
+        return this.spatialIndexes[layerName];
+    }
+
+    // Get all features of an indexed layer that contain the point
+    queryPoint(layerName, lat, lng) {
+        const index = this.spatialIndexes[layerName];
+        if (!index) {
+            console.warn(`No spatial index for layer: ${layerName}`);
+            return [];
+        }
+
+        return index.searchPoint(lng, lat)
+            .filter(item => item.polygons.some(rings => this.isPointInPolygonWithHoles(lat, lng, rings)))
+            .map(item => item.feature);
+    }
+
+    // Get the city boundary feature containing a point
+    getBoundaryFeatureAt(lat, lng) {
+        const [feature] = this.queryPoint('boundary', lat, lng);
+        if (!feature) return null;
+
+        const props = feature.properties || {};
+        return {
+            id: props.OBJECTID ?? null,
+            district: props.PATRL_DIST ?? null,
+            label: props.DIST_LABEL ?? null,
+            name: props.FULL_NAME ?? null,
+            area: props.SHAPE__Area ?? null
+        };
+    }
+
+    // Get the land use designation polygon containing a point
+    getLandUseAreaAt(lat, lng) {
+        const [feature] = this.queryPoint('landUse', lat, lng);
+        if (!feature) return null;
 
-        return false;
+        const props = feature.properties;
+        return {
+            id: props.LANDUSE_ID,
+            code: props.DESIGNATION,
+            area: props.SHAPE__Area,
+            perimeter: props.SHAPE__Length,
+            feature: feature
+        };
+    }
+
+    // Get the zoning district polygon containing a point
+    getZoningAreaAt(lat, lng) {
+        const [feature] = this.queryPoint('zoning', lat, lng);
+        if (!feature) return null;
+
+        const props = feature.properties;
+        return {
+            id: props.ZONE_ID,
+            code: props.ZONE_CODE,
+            area: props.SHAPE__Area,
+            perimeter: props.SHAPE__Length,
+            feature: feature
+        };
+    }
+
+    // Get every special area polygon containing a point, with its OCP description and targets.
+    // Special areas can overlap, so a point may be in more than one.
+    getSpecialAreasAt(lat, lng) {
+        return this.queryPoint('specialAreas', lat, lng)
+            .map(feature => this.describeSpecialArea(feature.properties))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    // Combine a special area polygon's properties with its entry in ocp-policies.json
+    describeSpecialArea(props) {
+        const policy = props.POLICY_KEY ? this.data.policies?.specialAreas?.[props.POLICY_KEY] : null;
+        const details = OCPDataHandler.SPECIAL_AREA_DETAILS[props.AREA_ID] || {};
+
+        const targets = (details.targets || [])
+            .map(target => ({ label: target.label, value: this.getPolicyValue(target.path) }))
+            .filter(target => typeof target.value === 'string');
+
+        return {
+            id: props.AREA_ID,
+            type: props.AREA_TYPE,
+            name: policy?.name || props.NAME,
+            description: policy?.description || props.DESCRIPTION || '',
+            relatedAreas: details.relatedAreas || [],
+            targets,
+            area: props.SHAPE__Area ?? null
+        };
+    }
+
+    // Merge every polygon of a designation or zone into a single MultiPolygon
+    getAreaGeometry(layerName, code) {
+        const codeProperties = { landUse: 'DESIGNATION', zoning: 'ZONE_CODE' };
+        const collection = this.data[this.spatialLayers[layerName]];
+        const codeProperty = codeProperties[layerName];
+        if (!collection || !codeProperty) return null;
+
+        const polygons = collection.features
+            .filter(feature => feature.properties?.[codeProperty] === code)
+            .flatMap(feature => this.extractPolygons(feature.geometry));
+
+        return polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null;
     }
 
     // Get land use information for a specific designation code
@@ -150,9 +313,9 @@ class OCPDataHandler {
         }
 
         // Search through all zoning categories
-        for (const category of Object.values(this.data.zoning.zoningDistricts)) {
+        for (const [categoryName, category] of Object.entries(this.data.zoning.zoningDistricts)) {
             if (category[zoneCode]) {
-                return category[zoneCode];
+                return { code: zoneCode, category: categoryName, ...category[zoneCode] };
             }
         }
         return null;
@@ -176,49 +339,677 @@ class OCPDataHandler {
         return results;
     }
 
-    // Search by keywords in land use or zoning
+    // Search land use designations and zoning districts by keywords, best matches first
     searchByKeywords(query) {
-        if (!this.isLoaded) {
+        return this.searchText(query, { types: ['landUse', 'zoning'], limit: Infinity });
+    }
+
+    // Build the full-text index over designations, zones, policies, guidelines and common questions.
+    // Each document has a short title, weighted above its body text.
+    buildTextIndex() {
+        const IndexClass = typeof TextIndex !== 'undefined' ? TextIndex : require('./text-index');
+        const index = new IndexClass({ fieldWeights: OCPDataHandler.TEXT_FIELD_WEIGHTS });
+        const collectText = value => {
+            if (typeof value === 'string') return [value];
+            if (Array.isArray(value)) return value.flatMap(collectText);
+            if (value && typeof value === 'object') return Object.values(value).flatMap(collectText);
+            return [];
+        };
+        // List items become sentences so snippets read naturally
+        const toBody = (...values) => collectText(values)
+            .map(text => text.trim())
+            .filter(Boolean)
+            .map(text => /[.!?]$/.test(text) ? text : `${text}.`)
+            .join(' ');
+
+        Object.entries(this.data.landUse?.landUseDesignations || {}).forEach(([code, designation]) => {
+            index.add(`landUse:${code}`, {
+                title: `${code} ${designation.name}`,
+                body: toBody(
+                    designation.description, designation.category, designation.maxDensity,
+                    designation.principalUses, designation.complementaryUses
+                )
+            }, { type: 'landUse', code, ...designation });
+        });
+
+        Object.entries(this.data.zoning?.zoningDistricts || {}).forEach(([categoryName, category]) => {
+            Object.entries(category).forEach(([zoneCode, zone]) => {
+                index.add(`zoning:${zoneCode}`, {
+                    title: `${zoneCode} ${zone.name}`,
+                    // Regulation figures are left to the structured height and FAR searches
+                    body: toBody(zone.description, this.formatPolicyKey(categoryName), zone.allowedUses)
+                }, {
+                    type: 'zoning',
+                    code: zoneCode,
+                    category: categoryName,
+                    ...zone,
+                    regulations: this.getZoneRegulations(zoneCode)
+                });
+            });
+        });
+
+        const policyData = this.data.policies || {};
+        Object.entries(policyData.policies || {}).forEach(([category, policies]) => {
+            Object.entries(policies).forEach(([id, policy]) => {
+                const { title, text, relatedAreas, applicableAreas, ...details } = policy;
+                index.add(`policy:${id}`, {
+                    title: `${id} ${title || ''}`,
+                    body: toBody(text, details)
+                }, {
+                    type: 'policy',
+                    code: id,
+                    name: title,
+                    description: text,
+                    category,
+                    ...policy
+                });
+            });
+        });
+
+        // Guideline ids match those from getApplicablePolicies
+        Object.entries(policyData.developmentGuidelines || {}).forEach(([topic, entries]) => {
+            Object.entries(entries).forEach(([key, guideline]) => {
+                const name = `${this.formatPolicyKey(topic)}: ${this.formatPolicyKey(key)}`;
+                index.add(`guideline:${topic}.${key}`, {
+                    title: name,
+                    body: toBody(guideline)
+                }, {
+                    type: 'guideline',
+                    code: `${topic}.${key}`,
+                    name,
+                    description: typeof guideline === 'string' ? guideline : guideline.description,
+                    topic,
+                    details: typeof guideline === 'string' ? null : guideline
+                });
+            });
+        });
+
+        Object.entries(policyData.searchableContent?.commonQuestions || {}).forEach(([key, answer]) => {
+            index.add(`question:${key}`, {
+                title: this.formatPolicyKey(key),
+                body: answer
+            }, { type: 'question', name: this.formatPolicyKey(key), description: answer });
+        });
+
+        this.textIndex = index;
+        console.log('Text index built:', index.size, 'documents,', index.postings.size, 'terms');
+        return index;
+    }
+
+    // Merge the synonym lists of land-use.json (searchKeywords) and ocp-policies.json
+    // (searchableContent.keywords). Groups with the same name share their keywords.
+    buildKeywordGroups() {
+        const tables = [
+            this.data.landUse?.searchKeywords,
+            this.data.policies?.searchableContent?.keywords
+        ];
+
+        this.keywordGroups = new Map();
+        tables.filter(Boolean).forEach(table => {
+            Object.entries(table).forEach(([group, keywords]) => {
+                const merged = this.keywordGroups.get(group) || [];
+                keywords.map(keyword => keyword.toLowerCase()).forEach(keyword => {
+                    if (!merged.includes(keyword)) merged.push(keyword);
+                });
+                this.keywordGroups.set(group, merged);
+            });
+        });
+
+        return this.keywordGroups;
+    }
+
+    // Keyword groups a query touches. A group is triggered when one of its keywords (or its
+    // own name) appears in the query, compared by stem; its other keywords become expansion terms.
+    // Returns [{ group, keyword, terms }].
+    expandQuery(query) {
+        if (!this.textIndex) return [];
+
+        const queryTerms = this.textIndex.analyze(query).map(token => token.term);
+        const stemsOf = text => this.textIndex.analyze(text).map(token => token.term);
+        const inQuery = stems => stems.length > 0 && queryTerms.some((term, i) =>
+            stems.every((stem, offset) => queryTerms[i + offset] === stem));
+
+        const expansions = [];
+        this.keywordGroups.forEach((keywords, group) => {
+            const groupName = group.replace(/[-_]/g, ' ');
+            const candidates = Array.from(new Set([groupName, ...keywords]));
+            const keyword = candidates.find(candidate => inQuery(stemsOf(candidate)));
+            if (!keyword) return;
+
+            const terms = candidates.filter(candidate => !stemsOf(candidate).every(stem => queryTerms.includes(stem)));
+            if (terms.length > 0) {
+                expansions.push({ group, keyword, terms });
+            }
+        });
+
+        return expansions;
+    }
+
+    // "sapperton_green" and "activeTransportation" become "Sapperton green" and "Active transportation"
+    formatPolicyKey(key) {
+        const words = key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // Ranked full-text search. Quoted phrases must match as written, and unless `expand` is
+    // false the query is widened with the keyword groups it touches (see expandQuery).
+    // Each result is the indexed item plus its score, a highlighted snippet and a match reason.
+    searchText(query, options = {}) {
+        if (!this.isLoaded || !this.textIndex) {
+            return [];
+        }
+
+        const { limit = 20, types = null, expand = true } = options;
+        const filter = types ? entry => types.includes(entry.data.type) : null;
+        const { terms, phrases } = this.textIndex.parseQuery(query);
+        const queryWords = [...terms, ...phrases.flat()];
+        const queryTerms = new Set(queryWords.map(token => token.term));
+        const expansions = expand ? this.expandQuery(query) : [];
+
+        const hits = this.textIndex.search(query, {
+            limit,
+            filter,
+            expansions: expansions.map(expansion => expansion.terms)
+        });
+
+        return hits.map(hit => {
+            const words = Array.from(new Set(
+                queryWords.filter(token => hit.matchedTerms.includes(token.term)).map(token => token.word)
+            ));
+
+            // Expansion terms this result matched, reported against the query word that triggered them
+            const expanded = expansions
+                .map(expansion => ({
+                    ...expansion,
+                    matched: expansion.terms.filter(term => this.textIndex.analyze(term)
+                        .some(token => hit.matchedTerms.includes(token.term) && !queryTerms.has(token.term)))
+                }))
+                .filter(expansion => expansion.matched.length > 0);
+
+            const reasons = [];
+            if (words.length > 0) {
+                reasons.push(`Matches ${words.map(word => `"${word}"`).join(', ')}${hit.phraseMatch ? ' (phrase)' : ''}`);
+            }
+            expanded.forEach(expansion => {
+                reasons.push(`"${expansion.keyword}" → ${expansion.group}: ${expansion.matched.join(', ')}`);
+            });
+
+            return {
+                ...hit.data,
+                score: hit.score,
+                snippet: this.textIndex.getSnippet(hit.id, hit.matchedTerms, {
+                    fields: ['body'],
+                    preferredTerms: Array.from(queryTerms)
+                }),
+                expandedTerms: expanded.flatMap(expansion => expansion.matched),
+                matchReason: reasons.join('; ')
+            };
+        });
+    }
+
+    // Parse a free-text height such as "12m (3-4 storeys)", "35 storeys (varies by area)" or "Variable"
+    // into numeric metre and storey ranges. Missing units are estimated at 3 metres per storey.
+    parseHeightString(text) {
+        const height = {
+            text: text || null,
+            minMetres: null,
+            maxMetres: null,
+            minStoreys: null,
+            maxStoreys: null,
+            variable: false,
+            subjectToApproval: false,
+            estimated: false
+        };
+
+        if (!text || typeof text !== 'string') {
+            return height;
+        }
+
+        const lower = text.toLowerCase();
+        height.variable = /variable|varies/.test(lower);
+        height.subjectToApproval = /subject to approval|special approval/.test(lower);
+
+        const metres = lower.match(/(\d+(?:\.\d+)?)\s*m\b/);
+        if (metres) {
+            height.maxMetres = parseFloat(metres[1]);
+        }
+
+        const storeys = lower.match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(?:storey|floor)s?/);
+        if (storeys) {
+            height.maxStoreys = parseFloat(storeys[2] || storeys[1]);
+            height.minStoreys = storeys[2] ? parseFloat(storeys[1]) : null;
+        }
+
+        // Fill in whichever unit the text left out
+        if (height.maxMetres === null && height.maxStoreys !== null) {
+            height.maxMetres = height.maxStoreys * OCPDataHandler.METRES_PER_STOREY;
+            height.estimated = true;
+        } else if (height.maxStoreys === null && height.maxMetres !== null) {
+            height.maxStoreys = Math.floor(height.maxMetres / OCPDataHandler.METRES_PER_STOREY);
+            height.estimated = true;
+        }
+
+        return height;
+    }
+
+    // Parse a free-text measure such as "0.60", "50%", "800 sq.m" or "7.5m" into a number.
+    // Units: 'ratio' (FAR), 'fraction' (coverage, 0-1), 'm²' (area) and 'm' (length).
+    parseMeasureString(text, unit) {
+        const measure = {
+            text: text ?? null,
+            value: null,
+            unit: unit,
+            variable: false,
+            subjectToApproval: false
+        };
+
+        if (typeof text === 'number') {
+            measure.value = unit === 'fraction' && text > 1 ? text / 100 : text;
+            return measure;
+        }
+
+        if (!text || typeof text !== 'string') {
+            return measure;
+        }
+
+        const lower = text.toLowerCase();
+        measure.variable = /variable|varies/.test(lower);
+        measure.subjectToApproval = /subject to approval|special approval/.test(lower);
+
+        const number = lower.replace(/(\d),(\d{3})/g, '$1$2').match(/\d+(?:\.\d+)?|\.\d+/);
+        if (!number) {
+            return measure;
+        }
+
+        let value = parseFloat(number[0]);
+        switch (unit) {
+            case 'fraction':
+                if (lower.includes('%') || value > 1) value = value / 100;
+                break;
+            case 'm²':
+                if (/sq\.?\s*f|square f|ft²/.test(lower)) value = value * OCPDataHandler.SQUARE_METRES_PER_SQUARE_FOOT;
+                else if (/\bha\b|hectare/.test(lower)) value = value * 10000;
+                break;
+            case 'm':
+                if (/ft\b|feet|'/.test(lower)) value = value * OCPDataHandler.METRES_PER_FOOT;
+                break;
+        }
+
+        measure.value = Math.round(value * 1000) / 1000;
+        return measure;
+    }
+
+    // Normalize one zone's regulation strings into typed values, collecting a warning
+    // for every entry that is present but could not be read as a number
+    normalizeZoneRegulations(zoneCode, categoryName, zone) {
+        const warnings = [];
+        const warn = (field, text, message) => warnings.push({ field, text: text ?? null, message });
+
+        const height = this.parseHeightString(zone.maxHeight);
+
+        // minHeight is a required minimum (e.g. "3 storeys"), not the lower end of a range,
+        // so it is kept as its own parsed height whose max values are the minimum to build
+        const minHeight = this.parseHeightString(zone.minHeight);
+        height.minimum = zone.minHeight ? minHeight : null;
+
+        const setbacks = {};
+        for (const [side, text] of Object.entries(zone.setbacks || {})) {
+            setbacks[side] = this.parseMeasureString(text, 'm');
+        }
+
+        const regulations = {
+            code: zoneCode,
+            category: categoryName,
+            name: zone.name,
+            height: height,
+            far: this.parseMeasureString(zone.maxFAR, 'ratio'),
+            lotCoverage: this.parseMeasureString(zone.lotCoverage, 'fraction'),
+            minLotSize: this.parseMeasureString(zone.minLotSize, 'm²'),
+            setbacks: setbacks,
+            variable: false,
+            subjectToApproval: false,
+            warnings: warnings
+        };
+
+        // Unparseable entries
+        if (zone.maxHeight && height.maxMetres === null && !height.variable) {
+            warn('maxHeight', zone.maxHeight, 'No height in metres or storeys found');
+        }
+        if (zone.minHeight && minHeight.maxMetres === null) {
+            warn('minHeight', zone.minHeight, 'No height in metres or storeys found');
+        }
+        const measures = [
+            ['maxFAR', regulations.far],
+            ['lotCoverage', regulations.lotCoverage],
+            ['minLotSize', regulations.minLotSize],
+            ...Object.entries(setbacks).map(([side, measure]) => [`setbacks.${side}`, measure])
+        ];
+        for (const [field, measure] of measures) {
+            if (measure.text !== null && measure.value === null && !measure.variable) {
+                warn(field, measure.text, 'No number found');
+            }
+        }
+
+        // Values that parsed but are implausible
+        if (regulations.far.value !== null && (regulations.far.value <= 0 || regulations.far.value > OCPDataHandler.MAX_PLAUSIBLE_FAR)) {
+            warn('maxFAR', zone.maxFAR, `FAR of ${regulations.far.value} is outside the expected range`);
+        }
+        if (regulations.lotCoverage.value !== null && (regulations.lotCoverage.value <= 0 || regulations.lotCoverage.value > 1)) {
+            warn('lotCoverage', zone.lotCoverage, 'Lot coverage must be between 0% and 100%');
+        }
+        if (minHeight.maxMetres !== null && height.maxMetres !== null && minHeight.maxMetres > height.maxMetres) {
+            warn('minHeight', zone.minHeight, 'Minimum height exceeds the maximum height');
+        }
+
+        const allMeasures = [height, minHeight, ...measures.map(([, measure]) => measure)];
+        regulations.variable = allMeasures.some(measure => measure.variable);
+        regulations.subjectToApproval = allMeasures.some(measure => measure.subjectToApproval);
+
+        return regulations;
+    }
+
+    // Normalize every zone in zoning.json
+    buildZoneRegulations() {
+        this.zoneRegulations = {};
+        this.regulationWarnings = [];
+
+        if (!this.data.zoning || !this.data.zoning.zoningDistricts) {
+            return;
+        }
+
+        for (const [categoryName, category] of Object.entries(this.data.zoning.zoningDistricts)) {
+            for (const [zoneCode, zone] of Object.entries(category)) {
+                const regulations = this.normalizeZoneRegulations(zoneCode, categoryName, zone);
+                this.zoneRegulations[zoneCode] = regulations;
+                this.regulationWarnings.push(...regulations.warnings.map(warning => ({ code: zoneCode, ...warning })));
+            }
+        }
+
+        if (this.regulationWarnings.length > 0) {
+            console.warn('Zoning regulations with unreadable values:', this.regulationWarnings);
+        }
+    }
+
+    // Get the typed regulations for a zone
+    getZoneRegulations(zoneCode) {
+        return this.zoneRegulations[zoneCode] || null;
+    }
+
+    // Find zones whose value for a regulation falls within a range (either bound may be null).
+    // Fields: 'height' (metres), 'far', 'lotCoverage' (fraction) and 'minLotSize' (m²).
+    searchByRegulation(field, min = null, max = null) {
+        const definition = OCPDataHandler.REGULATION_FIELDS[field];
+        if (!this.isLoaded || !definition) {
             return [];
         }
 
-        const keywords = query.toLowerCase().split(' ');
         const results = [];
 
-        // Search land use designations
-        if (this.data.landUse) {
-            for (const [code, designation] of Object.entries(this.data.landUse.landUseDesignations)) {
-                const searchText = `${designation.name} ${designation.description} ${designation.category}`.toLowerCase();
-                
-                if (keywords.some(keyword => searchText.includes(keyword))) {
-                    results.push({
-                        type: 'landUse',
-                        code,
-                        ...designation
-                    });
+        for (const [zoneCode, regulations] of Object.entries(this.zoneRegulations)) {
+            const zone = this.data.zoning.zoningDistricts[regulations.category][zoneCode];
+            const measure = definition.measure(regulations);
+            const value = definition.value(regulations);
+
+            let matchReason = null;
+            if (value !== null) {
+                const aboveMin = min === null || value >= min;
+                const belowMax = max === null || value <= max;
+                if (aboveMin && belowMax) {
+                    matchReason = `${definition.label} ${measure.text}`;
                 }
+            } else if (measure.variable && min !== null && max === null) {
+                // Variable values can exceed any minimum, but cannot promise to stay under a maximum
+                const name = definition.label.replace(/^(Max|Min) /, '');
+                matchReason = `${name.charAt(0).toUpperCase()}${name.slice(1)} ${measure.text}`;
+            }
+
+            if (matchReason) {
+                results.push({
+                    type: 'zoning',
+                    code: zoneCode,
+                    category: regulations.category,
+                    ...zone,
+                    regulations: regulations,
+                    matchReason: matchReason
+                });
             }
         }
 
-        // Search zoning districts
-        if (this.data.zoning) {
-            for (const [categoryName, category] of Object.entries(this.data.zoning.zoningDistricts)) {
-                for (const [zoneCode, zone] of Object.entries(category)) {
-                    const searchText = `${zone.name} ${zone.description || ''} ${categoryName}`.toLowerCase();
-                    
-                    if (keywords.some(keyword => searchText.includes(keyword))) {
-                        results.push({
-                            type: 'zoning',
-                            code: zoneCode,
-                            category: categoryName,
-                            ...zone
-                        });
-                    }
+        // Largest first when looking for a minimum (variable values last), smallest first when capping it
+        const largestFirst = min !== null && max === null;
+        results.sort((a, b) => {
+            const valueA = definition.value(a.regulations);
+            const valueB = definition.value(b.regulations);
+            return largestFirst
+                ? (valueB ?? -Infinity) - (valueA ?? -Infinity)
+                : (valueA ?? Infinity) - (valueB ?? Infinity);
+        });
+
+        return results;
+    }
+
+    // Find zones whose maximum height falls within a range in metres (either bound may be null)
+    searchByHeight(minMetres = null, maxMetres = null) {
+        return this.searchByRegulation('height', minMetres, maxMetres)
+            .map(result => ({ ...result, height: result.regulations.height }));
+    }
+
+    // Estimate what a lot of the given area (m²) could hold under a zone's FAR, lot coverage and height.
+    // Figures the zone leaves to case-by-case approval stay null and are listed in `variable`.
+    calculateDevelopmentCapacity(zoneCode, lotArea) {
+        const regulations = this.getZoneRegulations(zoneCode);
+        if (!regulations) return null;
+
+        if (!(lotArea > 0)) {
+            throw new Error('Lot area must be a positive number of square metres');
+        }
+
+        const round = value => Math.round(value * 10) / 10;
+        const zone = this.getZoningInfo(zoneCode);
+        const far = regulations.far.value;
+        const coverage = regulations.lotCoverage.value;
+        const heightStoreys = regulations.height.maxStoreys !== null ? Math.floor(regulations.height.maxStoreys) : null;
+
+        const capacity = {
+            zoneCode: zoneCode,
+            zoneName: regulations.name,
+            lotArea: lotArea,
+            maxFloorArea: far !== null ? round(lotArea * far) : null,
+            maxFootprint: coverage !== null ? round(lotArea * coverage) : null,
+            storeys: null,
+            estimatedUnits: null,
+            limitedBy: far !== null ? 'far' : null,
+            variable: [],
+            notes: [],
+            warnings: []
+        };
+
+        [['FAR', regulations.far, far], ['lot coverage', regulations.lotCoverage, coverage], ['height', regulations.height, heightStoreys]]
+            .filter(([, measure, value]) => value === null && measure.variable)
+            .forEach(([label]) => capacity.variable.push(label));
+        if (capacity.variable.length > 0) {
+            const labels = capacity.variable.length > 1
+                ? `${capacity.variable.slice(0, -1).join(', ')} and ${capacity.variable[capacity.variable.length - 1]}`
+                : capacity.variable[0];
+            capacity.notes.push(`${labels.charAt(0).toUpperCase()}${labels.slice(1)} ${capacity.variable.length === 1 ? 'is' : 'are'} set case by case for ${zoneCode}${regulations.subjectToApproval ? ' (subject to approval)' : ''}.`);
+        } else if (far === null) {
+            capacity.notes.push(`${zoneCode} does not set a maximum FAR.`);
+        }
+
+        // Spread the floor area over the footprint, within the height limit
+        if (capacity.maxFloorArea !== null && capacity.maxFootprint !== null) {
+            capacity.storeys = Math.ceil(capacity.maxFloorArea / capacity.maxFootprint - 1e-9);
+
+            if (heightStoreys !== null && capacity.storeys > heightStoreys) {
+                capacity.storeys = heightStoreys;
+                capacity.maxFloorArea = round(capacity.maxFootprint * heightStoreys);
+                capacity.limitedBy = 'height';
+                capacity.warnings.push(`The ${regulations.height.text} height limit keeps floor area below the FAR maximum.`);
+            }
+        } else if (heightStoreys !== null) {
+            capacity.storeys = heightStoreys;
+        }
+
+        const minLotSize = regulations.minLotSize.value;
+        if (minLotSize !== null && lotArea < minLotSize) {
+            capacity.warnings.push(`Lot is below the ${minLotSize.toLocaleString()} m² minimum lot size for ${zoneCode}; a variance or lot consolidation would be needed.`);
+        }
+
+        this.estimateDwellingUnits(capacity, zone?.allowedUses || []);
+        return capacity;
+    }
+
+    // Fill in a unit estimate from the residential share of the floor area, capped for
+    // ground-oriented zones where the allowed dwelling types fix the count
+    estimateDwellingUnits(capacity, allowedUses) {
+        const uses = allowedUses.join(' | ').toLowerCase();
+
+        if (!/residential|dwelling|apartment|townhouse|rowhouse|duplex/.test(uses)) {
+            capacity.notes.push(`${capacity.zoneCode} does not permit dwelling units.`);
+            return;
+        }
+        if (capacity.maxFloorArea === null) return;
+
+        // Commercial ground floors leave the upper floors for housing
+        const groundFloorCommercial = /upper floor|ground floor commercial/.test(uses);
+        const residentialFloorArea = groundFloorCommercial && capacity.maxFootprint !== null
+            ? Math.max(0, capacity.maxFloorArea - capacity.maxFootprint)
+            : capacity.maxFloorArea;
+
+        let units = Math.floor(residentialFloorArea * OCPDataHandler.NET_TO_GROSS_FLOOR_AREA / OCPDataHandler.AVERAGE_UNIT_SIZE);
+
+        if (!/apartment|townhouse|rowhouse|multiple/.test(uses)) {
+            const principal = /duplex/.test(uses) ? 2 : /single detached/.test(uses) ? 1 : null;
+            if (principal !== null) {
+                const cap = principal * (/secondary suite/.test(uses) ? 2 : 1);
+                units = Math.min(Math.max(units, 1), cap);
+                capacity.notes.push(`Unit count reflects the dwelling types allowed in ${capacity.zoneCode} (up to ${cap}).`);
+            }
+        }
+
+        capacity.estimatedUnits = units;
+        if (groundFloorCommercial) {
+            capacity.notes.push('Units assume commercial space on the ground floor.');
+        }
+    }
+
+    // Select the designations, zones and policies relevant to a query and location,
+    // trimmed to fit a character budget for the AI prompt
+    prepareContextForAI(location, query, maxChars = 6000) {
+        if (!this.isLoaded) {
+            return {};
+        }
+
+        const terms = (query || '').toLowerCase()
+            .split(/[^a-z0-9.]+/)
+            .filter(term => term.length > 2 && !OCPDataHandler.CONTEXT_STOP_WORDS.includes(term));
+
+        const scoreText = text => {
+            const lower = (text || '').toLowerCase();
+            return terms.reduce((score, term) => score + (lower.includes(term) ? 1 : 0), 0);
+        };
+
+        const context = {
+            source: 'New Westminster Official Community Plan (2017)',
+            location: null,
+            landUseDesignations: {},
+            zoningDistricts: {},
+            policies: [],
+            commonQuestions: {},
+            truncated: false
+        };
+
+        // The designation and zone under the selected location always come first
+        const pinnedDesignations = new Set();
+        const pinnedZones = new Set();
+        if (location && this.spatialIndexes.boundary) {
+            const landUseArea = this.getLandUseAreaAt(location.lat, location.lng);
+            const zoningArea = this.getZoningAreaAt(location.lat, location.lng);
+
+            context.location = {
+                lat: location.lat,
+                lng: location.lng,
+                withinBoundary: this.queryPoint('boundary', location.lat, location.lng).length > 0,
+                designation: landUseArea ? landUseArea.code : null,
+                zone: zoningArea ? zoningArea.code : null
+            };
+
+            if (landUseArea) pinnedDesignations.add(landUseArea.code);
+            if (zoningArea) pinnedZones.add(zoningArea.code);
+        }
+
+        const rank = (items, pinned) => items
+            .map(item => ({ ...item, score: pinned.has(item.key) ? Infinity : scoreText(item.text) }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        const designations = rank(Object.entries(this.data.landUse.landUseDesignations).map(([code, designation]) => ({
+            key: code,
+            text: `${code} ${designation.name} ${designation.category} ${designation.description} ${(designation.principalUses || []).join(' ')}`,
+            value: {
+                name: designation.name,
+                category: designation.category,
+                density: designation.density,
+                description: designation.description,
+                maxDensity: designation.maxDensity,
+                maxHeight: designation.maxHeight
+            }
+        })), pinnedDesignations);
+
+        const relevantCodes = new Set(designations.map(item => item.key));
+
+        const zones = rank(Object.entries(this.data.zoning.zoningDistricts).flatMap(([categoryName, category]) =>
+            Object.entries(category).map(([zoneCode, zone]) => ({
+                key: zoneCode,
+                text: `${zoneCode} ${zone.name} ${categoryName} ${(zone.allowedUses || []).join(' ')} ${relevantCodes.has(zone.landUse) ? zone.landUse : ''} ${zone.maxHeight || ''}`,
+                value: {
+                    name: zone.name,
+                    landUse: zone.landUse,
+                    maxHeight: zone.maxHeight,
+                    maxFAR: zone.maxFAR,
+                    lotCoverage: zone.lotCoverage,
+                    allowedUses: zone.allowedUses
                 }
+            }))
+        ), pinnedZones);
+
+        const policies = rank(Object.entries(this.data.policies.policies).flatMap(([categoryName, category]) =>
+            Object.entries(category).map(([policyId, policy]) => ({
+                key: `${categoryName}.${policyId}`,
+                text: `${policy.title} ${policy.text} ${(policy.applicableAreas || []).filter(code => relevantCodes.has(code)).join(' ')}`,
+                value: { id: policyId, category: categoryName, title: policy.title, text: policy.text }
+            }))
+        ), new Set());
+
+        const questions = rank(Object.entries(this.data.policies.searchableContent?.commonQuestions || {}).map(([key, answer]) => ({
+            key,
+            text: `${key.replace(/_/g, ' ')} ${answer}`,
+            value: answer
+        })), new Set());
+
+        // Interleave the groups by rank so one group cannot use up the whole budget
+        const queue = [];
+        const longest = Math.max(designations.length, zones.length, policies.length, questions.length);
+        for (let i = 0; i < longest; i++) {
+            if (designations[i]) queue.push(() => { context.landUseDesignations[designations[i].key] = designations[i].value; });
+            if (zones[i]) queue.push(() => { context.zoningDistricts[zones[i].key] = zones[i].value; });
+            if (policies[i]) queue.push(() => { context.policies.push(policies[i].value); });
+            if (questions[i]) queue.push(() => { context.commonQuestions[questions[i].key] = questions[i].value; });
+        }
+
+        for (const addItem of queue) {
+            const snapshot = JSON.stringify(context);
+            addItem();
+
+            if (JSON.stringify(context).length > maxChars) {
+                // Roll back the item that broke the budget and stop
+                Object.assign(context, JSON.parse(snapshot));
+                context.truncated = true;
+                break;
             }
         }
 
-        return results;
+        return context;
     }
 
     // Get policy by path (e.g., "housing.1.1")
@@ -238,6 +1029,15 @@ class OCPDataHandler {
         return current;
     }
 
+    // Get any value in ocp-policies.json by path (e.g., "growthProjections.population.sapperton_green")
+    getPolicyValue(path) {
+        if (!this.isLoaded || !this.data.policies) {
+            return null;
+        }
+
+        return path.split('.').reduce((current, part) => current?.[part], this.data.policies) ?? null;
+    }
+
     // Get all policies for a category
     getPoliciesByCategory(category) {
         if (!this.isLoaded || !this.data.policies) {
@@ -253,6 +1053,235 @@ class OCPDataHandler {
         }));
     }
 
+    // What a policy's related area refers to on the map: designation codes, the transit
+    // layer or a named place for the geocoder. Returns null for areas that are not mapped.
+    resolveRelatedArea(area) {
+        if (this.getLandUseInfo(area)) {
+            return { type: 'designations', codes: [area] };
+        }
+
+        const known = OCPDataHandler.RELATED_AREAS[area];
+        if (!known) return null;
+
+        if (known.designations) return { type: 'designations', codes: known.designations };
+        if (known.transit) return { type: 'transit' };
+        return { type: 'place', query: known.place };
+    }
+
+    // Area tags that describe a location, each with the reason it applies.
+    // Tags are designation and zone codes plus the related area names used in ocp-policies.json.
+    getLocationAreaTags({ landUseCode = null, zoneCode = null, transit = null, specialAreas = [] }) {
+        const tags = new Map();
+        const addTag = (tag, reason) => {
+            if (!tags.has(tag)) tags.set(tag, reason);
+        };
+
+        const designation = landUseCode ? this.getLandUseInfo(landUseCode) : null;
+        if (designation) {
+            addTag(landUseCode, `Designated ${designation.name} (${landUseCode})`);
+        }
+
+        const zone = zoneCode ? this.getZoningInfo(zoneCode) : null;
+        if (zone) {
+            addTag(zoneCode, `Zoned ${zone.name} (${zoneCode})`);
+        }
+
+        Object.entries(OCPDataHandler.RELATED_AREAS).forEach(([tag, area]) => {
+            if (designation && area.designations?.includes(landUseCode)) {
+                addTag(tag, `Designation ${landUseCode} is part of ${area.label}`);
+            } else if (zone && area.zoneCategories?.includes(zone.category)) {
+                addTag(tag, `Zone ${zoneCode} is part of ${area.label}`);
+            }
+        });
+
+        if (transit && transit.walkRadius !== null) {
+            addTag('skytrain_stations', `Within ${transit.walkRadius} m of ${transit.nearestStation.name}`);
+        }
+
+        specialAreas.forEach(specialArea => {
+            (specialArea.relatedAreas || []).forEach(tag => addTag(tag, `In the ${specialArea.name}`));
+        });
+
+        return tags;
+    }
+
+    // Rule-based match of policies, restrictions and guidelines against a location's
+    // designation, zone, transit proximity and special areas. Every match carries a reason.
+    getApplicablePolicies(context) {
+        const result = { policies: [], restrictions: [], guidelines: [] };
+        if (!this.isLoaded || !this.data.policies) {
+            return result;
+        }
+
+        const tags = this.getLocationAreaTags(context);
+        const reasonsFor = areas => Array.from(new Set(
+            areas.filter(area => tags.has(area)).map(area => tags.get(area))
+        ));
+
+        // Policies name the areas they relate to, or the designations they apply in
+        Object.entries(this.data.policies.policies || {}).forEach(([category, categoryPolicies]) => {
+            Object.entries(categoryPolicies).forEach(([id, policy]) => {
+                const reasons = reasonsFor([...(policy.relatedAreas || []), ...(policy.applicableAreas || [])]);
+                if (reasons.length > 0) {
+                    result.policies.push({ id, category, ...policy, reason: reasons.join('; ') });
+                }
+            });
+        });
+
+        // Requirements list designation codes or descriptions such as "FTDA areas"
+        Object.entries(this.data.policies.restrictionsAndRequirements || {}).forEach(([key, areas]) => {
+            const reasons = reasonsFor(areas.map(area => this.getLandUseInfo(area) ? area : area.toLowerCase().replace(/\s+/g, '_')));
+            if (reasons.length > 0) {
+                result.restrictions.push({
+                    id: key,
+                    label: OCPDataHandler.RESTRICTION_LABELS[key] || key,
+                    appliesTo: areas,
+                    reason: reasons.join('; ')
+                });
+            }
+        });
+
+        // Guidelines are keyed by topic, then by related area or density level
+        const designation = context.landUseCode ? this.getLandUseInfo(context.landUseCode) : null;
+        const densityLevels = designation?.density ? designation.density.split('-') : [];
+        Object.entries(this.data.policies.developmentGuidelines || {}).forEach(([topic, entries]) => {
+            Object.entries(entries).forEach(([key, guideline]) => {
+                let reason = null;
+                if (tags.has(key)) {
+                    reason = tags.get(key);
+                } else if (topic === 'density' && densityLevels.includes(key)) {
+                    reason = `Designation ${context.landUseCode} is ${designation.density} density`;
+                }
+
+                if (reason) {
+                    result.guidelines.push({
+                        id: `${topic}.${key}`,
+                        topic,
+                        text: typeof guideline === 'string' ? guideline : guideline.description,
+                        details: typeof guideline === 'string' ? null : guideline,
+                        reason
+                    });
+                }
+            });
+        });
+
+        return result;
+    }
+
+    // Nearest SkyTrain station, its straight-line distance and whether the point is in an FTDA.
+    // FTDAs are taken as the ftdaRadiusMetres circle around their station, inside the city.
+    getTransitProximity(lat, lng) {
+        const stations = this.data.transitStations?.stations || [];
+        if (stations.length === 0) return null;
+
+        const byDistance = stations
+            .map(station => ({ station, distance: OCPDataHandler.geodesicDistance({ lat, lng }, station) }))
+            .sort((a, b) => a.distance - b.distance);
+        const nearest = byDistance[0];
+
+        const inCity = this.queryPoint('boundary', lat, lng).length > 0;
+        const ftda = inCity
+            ? byDistance.find(({ station, distance }) => station.ftda && distance <= this.data.transitStations.ftdaRadiusMetres)
+            : null;
+
+        const describeStation = station => ({
+            id: station.id,
+            name: station.name,
+            line: station.line,
+            lat: station.lat,
+            lng: station.lng
+        });
+
+        return {
+            nearestStation: describeStation(nearest.station),
+            distance: nearest.distance,
+            walkRadius: OCPDataHandler.TRANSIT_WALK_RADII.find(radius => nearest.distance <= radius) ?? null,
+            inFTDA: Boolean(ftda),
+            ftdaStation: ftda ? describeStation(ftda.station) : null,
+            ftdaDistance: ftda ? ftda.distance : null
+        };
+    }
+
+    // Load the amenities dataset once, on first use
+    async loadAmenities() {
+        if (!this.amenitiesPromise) {
+            this.amenitiesPromise = fetch('data/amenities.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load amenities data');
+                    }
+                    return response.json();
+                })
+                .then(amenities => {
+                    this.data.amenities = amenities;
+                    return amenities;
+                })
+                .catch(error => {
+                    // Allow a retry on the next search
+                    this.amenitiesPromise = null;
+                    throw error;
+                });
+        }
+
+        return this.amenitiesPromise;
+    }
+
+    // Closest amenities per category within radius metres (straight-line), nearest first.
+    // Transit uses the SkyTrain stations so both datasets stay in step.
+    async searchNearby(lat, lng, options = {}) {
+        const {
+            radius = OCPDataHandler.NEARBY_DEFAULT_RADIUS,
+            categories = null,
+            limitPerCategory = OCPDataHandler.NEARBY_RESULTS_PER_CATEGORY
+        } = options;
+
+        const amenities = await this.loadAmenities();
+        const stations = (this.data.transitStations?.stations || []).map(station => ({
+            id: station.id,
+            category: 'transit',
+            name: station.name,
+            type: `SkyTrain station (${station.line})`,
+            lat: station.lat,
+            lng: station.lng
+        }));
+
+        const wanted = categories || Object.keys(amenities.categories);
+        const candidates = [...amenities.amenities, ...stations]
+            .filter(amenity => wanted.includes(amenity.category))
+            .map(amenity => ({ ...amenity, distance: OCPDataHandler.geodesicDistance({ lat, lng }, amenity) }))
+            .filter(amenity => amenity.distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+
+        return {
+            center: { lat, lng },
+            radius,
+            categories: wanted.map(id => {
+                const inCategory = candidates.filter(amenity => amenity.category === id);
+                return {
+                    id,
+                    ...amenities.categories[id],
+                    total: inCategory.length,
+                    results: inCategory.slice(0, limitPerCategory)
+                };
+            })
+        };
+    }
+
+    // Frequent Transit Development Area description from the OCP, as a special area
+    getFTDASpecialArea(station) {
+        const ftdaStations = this.data.policies?.specialAreas?.frequentTransitDevelopmentAreas?.stations || [];
+        const match = ftdaStations.find(entry => entry.name === station.name);
+
+        return {
+            id: `ftda-${station.id}`,
+            type: 'frequentTransitDevelopmentArea',
+            name: `${station.name.replace(/ Station$/, '')} Frequent Transit Development Area`,
+            description: match?.description || 'Frequent Transit Development Area around a SkyTrain station',
+            relatedAreas: ['frequent_transit_areas', 'ftda_areas'],
+            targets: []
+        };
+    }
+
     // Get information for a specific location
     async getLocationInfo(lat, lng) {
         const withinBoundary = await this.isWithinNewWestminster(lat, lng);
@@ -260,39 +1289,183 @@ class OCPDataHandler {
         const info = {
             coordinates: { lat, lng },
             withinBoundary: withinBoundary,
+            boundaryFeature: null,
             landUse: null,
+            landUseArea: null,
             zoning: null,
+            zoningArea: null,
+            regulations: null,
             policies: [],
+            restrictions: [],
+            guidelines: [],
+            specialAreas: [],
+            transit: this.getTransitProximity(lat, lng),
             nearbyFeatures: []
         };
 
-        // Always provide information, but mark boundary status clearly
-        // In a real implementation, this would use spatial queries based on actual zoning maps
         if (withinBoundary) {
-            // Sample logic based on location within New Westminster
-            if (lat > 49.21) {
-                info.landUse = this.getLandUseInfo('RD');
-                info.zoning = this.getZoningInfo('RS1');
-            } else if (lat > 49.205) {
-                info.landUse = this.getLandUseInfo('RM');
-                info.zoning = this.getZoningInfo('RM1');
-            } else {
-                info.landUse = this.getLandUseInfo('MH');
-                info.zoning = this.getZoningInfo('MU2');
+            info.boundaryFeature = this.getBoundaryFeatureAt(lat, lng);
+
+            // Look up the designation and zoning polygons containing the point
+            const landUseArea = this.getLandUseAreaAt(lat, lng);
+            if (landUseArea) {
+                info.landUse = this.getLandUseInfo(landUseArea.code);
+                info.landUseArea = { id: landUseArea.id, area: landUseArea.area, perimeter: landUseArea.perimeter };
+            }
+
+            const zoningArea = this.getZoningAreaAt(lat, lng);
+            if (zoningArea) {
+                info.zoning = this.getZoningInfo(zoningArea.code);
+                info.regulations = this.getZoneRegulations(zoningArea.code);
+                info.zoningArea = { id: zoningArea.id, area: zoningArea.area, perimeter: zoningArea.perimeter };
+            }
+
+            info.specialAreas.push(...this.getSpecialAreasAt(lat, lng));
+            if (info.transit?.inFTDA) {
+                info.specialAreas.push(this.getFTDASpecialArea(info.transit.ftdaStation));
             }
 
-            // Add relevant policies for areas within the city
-            info.policies = this.getPoliciesByCategory('economy').slice(0, 2);
-        } else {
-            // For points outside the boundary, provide limited information
-            info.landUse = null;
-            info.zoning = null;
-            info.policies = [];
+            // Policies, restrictions and guidelines that apply to what is at this point
+            const applicable = this.getApplicablePolicies({
+                landUseCode: landUseArea?.code ?? null,
+                zoneCode: zoningArea?.code ?? null,
+                transit: info.transit,
+                specialAreas: info.specialAreas
+            });
+            info.policies = applicable.policies;
+            info.restrictions = applicable.restrictions;
+            info.guidelines = applicable.guidelines;
         }
 
         return info;
     }
 
+    // Great-circle distance in metres between two { lat, lng } points
+    static geodesicDistance(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.lat - from.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * OCPDataHandler.EARTH_RADIUS_METRES * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    // Geodesic area (m²) and perimeter (m) of a [lng, lat] ring: spherical excess for the area
+    // (Chamberlain & Duquette, 2007) and haversine lengths for the edges, so a side measures
+    // the same here as with geodesicDistance
+    measureRing(ring) {
+        const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+            ? ring.slice(0, -1)
+            : ring;
+        if (points.length < 3) return { area: 0, perimeter: 0 };
+
+        const toRadians = degrees => degrees * Math.PI / 180;
+        let twiceArea = 0;
+        let perimeter = 0;
+        points.forEach(([lng1, lat1], i) => {
+            const [lng2, lat2] = points[(i + 1) % points.length];
+            twiceArea += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+            perimeter += OCPDataHandler.geodesicDistance({ lat: lat1, lng: lng1 }, { lat: lat2, lng: lng2 });
+        });
+
+        return { area: Math.abs(twiceArea) * OCPDataHandler.EARTH_RADIUS_METRES ** 2 / 2, perimeter };
+    }
+
+    // Break a drawn site (a [lng, lat] ring) down by boundary, designation and zone.
+    // Shares come from a grid of sample points inside the site, so slivers are approximate.
+    async analyzeSite(ring) {
+        const { area, perimeter } = this.measureRing(ring);
+        if (area === 0) {
+            throw new Error('A site needs at least three distinct corners');
+        }
+
+        const lngs = ring.map(([lng]) => lng);
+        const lats = ring.map(([, lat]) => lat);
+        const bounds = {
+            west: Math.min(...lngs), east: Math.max(...lngs),
+            south: Math.min(...lats), north: Math.max(...lats)
+        };
+
+        // Square cells in metres, sized so the bounding box holds about SITE_SAMPLE_COUNT points
+        const { area: boxArea } = this.measureRing([
+            [bounds.west, bounds.south], [bounds.east, bounds.south],
+            [bounds.east, bounds.north], [bounds.west, bounds.north]
+        ]);
+        const cellMetres = Math.sqrt(boxArea / OCPDataHandler.SITE_SAMPLE_COUNT);
+        const metresPerDegree = Math.PI / 180 * OCPDataHandler.EARTH_RADIUS_METRES;
+        const latStep = cellMetres / metresPerDegree;
+        const lngStep = latStep / Math.cos((bounds.south + bounds.north) / 2 * Math.PI / 180);
+
+        const tallies = { boundary: 0, landUse: new Map(), zoning: new Map() };
+        const combinations = new Map(); // One representative point per designation and zone pair
+        let sampleCount = 0;
+
+        const tally = (counts, code) => counts.set(code, (counts.get(code) || 0) + 1);
+
+        for (let lat = bounds.south + latStep / 2; lat < bounds.north; lat += latStep) {
+            for (let lng = bounds.west + lngStep / 2; lng < bounds.east; lng += lngStep) {
+                if (!this.isPointInPolygon(lat, lng, ring)) continue;
+                sampleCount++;
+
+                if (this.queryPoint('boundary', lat, lng).length === 0) continue;
+                tallies.boundary++;
+
+                const landUseArea = this.getLandUseAreaAt(lat, lng);
+                const zoningArea = this.getZoningAreaAt(lat, lng);
+                const landUseCode = landUseArea ? landUseArea.code : null;
+                const zoneCode = zoningArea ? zoningArea.code : null;
+                tally(tallies.landUse, landUseCode);
+                tally(tallies.zoning, zoneCode);
+
+                const key = `${landUseCode}|${zoneCode}`;
+                if (!combinations.has(key)) combinations.set(key, { lat, lng });
+            }
+        }
+
+        // Very small sites can fall between grid points; fall back to the first corner
+        if (sampleCount === 0) {
+            const [lng, lat] = ring[0];
+            sampleCount = 1;
+            if (this.queryPoint('boundary', lat, lng).length > 0) {
+                tallies.boundary = 1;
+                tally(tallies.landUse, this.getLandUseAreaAt(lat, lng)?.code ?? null);
+                tally(tallies.zoning, this.getZoningAreaAt(lat, lng)?.code ?? null);
+                combinations.set('corner', { lat, lng });
+            }
+        }
+
+        const breakdown = (counts, describe) => Array.from(counts.entries())
+            .map(([code, count]) => ({
+                code,
+                name: code ? describe(code)?.name || 'Unknown' : 'Not mapped',
+                share: count / sampleCount,
+                area: area * count / sampleCount
+            }))
+            .sort((a, b) => b.share - a.share);
+
+        // Policies and special areas that apply anywhere on the site
+        const policies = new Map();
+        const specialAreas = new Map();
+        for (const { lat, lng } of combinations.values()) {
+            const info = await this.getLocationInfo(lat, lng);
+            (info.policies || []).forEach(policy => policies.set(policy.id, policy));
+            (info.specialAreas || []).forEach(specialArea => specialAreas.set(specialArea.name, specialArea));
+        }
+
+        return {
+            ring,
+            area,
+            perimeter,
+            sampleCount,
+            withinBoundaryShare: tallies.boundary / sampleCount,
+            landUse: breakdown(tallies.landUse, code => this.getLandUseInfo(code)),
+            zoning: breakdown(tallies.zoning, code => this.getZoningInfo(code)),
+            policies: Array.from(policies.values()),
+            specialAreas: Array.from(specialAreas.values())
+        };
+    }
+
     // Get development guidelines for an area
     getDevelopmentGuidelines(areaType) {
         if (!this.isLoaded || !this.data.policies) {
@@ -352,12 +1525,145 @@ class OCPDataHandler {
     }
 }
 
-// Create global instance
-window.ocpDataHandler = new OCPDataHandler();
+// Height assumed per storey when only one unit is given
+OCPDataHandler.METRES_PER_STOREY = 3;
+
+// Mean Earth radius, for measuring drawn sites and distances
+OCPDataHandler.EARTH_RADIUS_METRES = 6371008.8;
+
+// Walk radii around SkyTrain stations: roughly 5 and 10 minutes on foot
+OCPDataHandler.TRANSIT_WALK_RADII = [400, 800];
+
+// Related area tags used in ocp-policies.json and what they point to on the map
+// `label` completes "Designation X is part of ..." in policy match reasons
+OCPDataHandler.RELATED_AREAS = {
+    all_residential: { label: 'the residential areas', designations: ['RD', 'RM', 'RH', 'RHC'], zoneCategories: ['residential'] },
+    commercial_areas: { label: 'the commercial areas', designations: ['C', 'CHC'], zoneCategories: ['commercial'] },
+    industrial_areas: { label: 'the industrial land base', designations: ['ME'], zoneCategories: ['employment'] },
+    intertidal_areas: { label: 'the intertidal areas', designations: ['IN'] },
+    fraser_river: { label: 'the Fraser River foreshore', designations: ['IN'] },
+    hospital_area: { label: 'the hospital area', designations: ['CHC', 'BDMU'], zoneCategories: ['healthcare'] },
+    brewery_district: { label: 'the Brewery District', designations: ['BDMU'] },
+    sapperton_green: { label: 'Sapperton Green', designations: ['SGTMC'] },
+    skytrain_stations: { transit: true },
+    frequent_transit_areas: { transit: true },
+    ftda_areas: { transit: true },
+    downtown: { place: 'Downtown' },
+    uptown: { place: 'Uptown' },
+    sapperton: { place: 'Sapperton' },
+    queensborough: { place: 'Queensborough' },
+    columbia_street: { place: 'Columbia Street' },
+    sixth_street: { place: '6th Street' },
+    twelfth_street: { place: '12th Street' },
+    ewen_avenue: { place: 'Ewen Avenue' }
+};
+
+// Policy area tags and targets for each special area polygon in Special_Areas.geojson.
+// Target paths point into ocp-policies.json so the figures are only written down once.
+OCPDataHandler.SPECIAL_AREA_DETAILS = {
+    'SA-01': {
+        relatedAreas: ['downtown'],
+        targets: [
+            { label: 'Office space by 2041', path: 'specialAreas.regionalCityCentre.officeGrowth' }
+        ]
+    },
+    'SA-02': {
+        relatedAreas: ['uptown'],
+        targets: [
+            { label: 'Role', path: 'specialAreas.uptownLocalCentre.characteristics' }
+        ]
+    },
+    'SA-03': {
+        relatedAreas: ['sapperton_green'],
+        targets: [
+            { label: 'Dwelling units', path: 'growthProjections.population.sapperton_green' },
+            { label: 'Open space', path: 'developmentGuidelines.openSpace.sapperton_green' },
+            { label: 'Building heights', path: 'developmentGuidelines.heights.sapperton_green.range' },
+            { label: 'Approval', path: 'developmentGuidelines.heights.sapperton_green.requirement' }
+        ]
+    },
+    'SA-04': {
+        relatedAreas: ['hospital_area'],
+        targets: [
+            { label: 'Purpose', path: 'specialAreas.specialEmploymentArea.purpose' }
+        ]
+    }
+};
+
+// Term frequency weights for the fields of the full-text index
+OCPDataHandler.TEXT_FIELD_WEIGHTS = { title: 3, body: 1 };
+
+// Readable names for the keys of restrictionsAndRequirements in ocp-policies.json
+OCPDataHandler.RESTRICTION_LABELS = {
+    noResidential: 'Residential uses are not permitted',
+    healthcareRequired: 'Health care uses are required',
+    masterPlanRequired: 'A comprehensive master plan is required',
+    activeCommercialFrontage: 'Active commercial frontage on principal streets',
+    transitIntegration: 'Development must integrate with transit',
+    heritageConsiderations: 'Heritage considerations apply'
+};
+
+// Nearby amenities search defaults
+OCPDataHandler.NEARBY_DEFAULT_RADIUS = 800;
+OCPDataHandler.NEARBY_RESULTS_PER_CATEGORY = 5;
+
+// Sample points per drawn site when splitting it by designation and zone
+OCPDataHandler.SITE_SAMPLE_COUNT = 2500;
 
-// Auto-initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    window.ocpDataHandler.initialize().catch(error => {
-        console.error('Failed to initialize OCP data:', error);
+// Unit conversions for regulations given in imperial units
+OCPDataHandler.METRES_PER_FOOT = 0.3048;
+OCPDataHandler.SQUARE_METRES_PER_SQUARE_FOOT = 0.09290304;
+
+// FAR values above this are treated as data entry errors
+OCPDataHandler.MAX_PLAUSIBLE_FAR = 25;
+
+// Unit estimates: share of gross floor area that is saleable, and average unit size in m²
+OCPDataHandler.NET_TO_GROSS_FLOOR_AREA = 0.85;
+OCPDataHandler.AVERAGE_UNIT_SIZE = 80;
+
+// Regulations that can be filtered by value, with the number each is compared on
+OCPDataHandler.REGULATION_FIELDS = {
+    height: {
+        label: 'Max height',
+        measure: regulations => regulations.height,
+        value: regulations => regulations.height.maxMetres
+    },
+    far: {
+        label: 'Max FAR',
+        measure: regulations => regulations.far,
+        value: regulations => regulations.far.value
+    },
+    lotCoverage: {
+        label: 'Max lot coverage',
+        measure: regulations => regulations.lotCoverage,
+        value: regulations => regulations.lotCoverage.value
+    },
+    minLotSize: {
+        label: 'Min lot size',
+        measure: regulations => regulations.minLotSize,
+        value: regulations => regulations.minLotSize.value
+    }
+};
+
+// Common words ignored when ranking AI context
+OCPDataHandler.CONTEXT_STOP_WORDS = [
+    'the', 'and', 'for', 'are', 'what', 'where', 'which', 'with', 'near', 'from',
+    'that', 'this', 'can', 'how', 'does', 'about', 'there', 'allowed', 'any'
+];
+
+// Create global instance in the browser
+if (typeof window !== 'undefined') {
+    window.ocpDataHandler = new OCPDataHandler();
+
+    // Auto-initialize when DOM is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        window.ocpDataHandler.initialize().catch(error => {
+            console.error('Failed to initialize OCP data:', error);
+        });
     });
-});
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OCPDataHandler;
+}
@@ -0,0 +1,61 @@
+// DOM Utilities for OCP Explorer
+// Small helpers shared by the sidebar panels, popups, reports and map drawing tools;
+// load before the other scripts
+
+const DOUBLE_CLICK_TOLERANCE_PX = 3; // Clicks this close to the last vertex belong to a double-click
+
+let doubleClickZoomTimer = null;
+
+// Escape text for use in HTML content and attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// True for key events typed into a text field, select or contenteditable element,
+// which map-wide keyboard shortcuts should leave alone
+function isTextEntryTarget(target) {
+    if (!target || target.nodeType !== 1) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable ||
+        Boolean(target.closest('[contenteditable]:not([contenteditable="false"])'));
+}
+
+// Let a drawing tool finish its shape on a map double-click instead of zooming
+function captureMapDoubleClick(map, onFinish = null) {
+    // A tool released just before this one must not turn zooming back on
+    clearTimeout(doubleClickZoomTimer);
+    map.doubleClickZoom.disable();
+    if (onFinish) {
+        map.on('dblclick', onFinish);
+    }
+}
+
+// Hand double-clicks back to the map once a drawing tool is done. Zooming comes back on
+// the next tick, after the double-click that finished the shape has been handled.
+function releaseMapDoubleClick(map, onFinish = null) {
+    if (onFinish) {
+        map.off('dblclick', onFinish);
+    }
+    clearTimeout(doubleClickZoomTimer);
+    doubleClickZoomTimer = setTimeout(() => map.doubleClickZoom.enable(), 0);
+}
+
+// The two clicks of a finishing double-click land on the last vertex; true for those,
+// so they are not added as extra vertices
+function isRepeatVertexClick(map, latlng, lastVertex) {
+    return Boolean(lastVertex) &&
+        map.latLngToContainerPoint(latlng).distanceTo(map.latLngToContainerPoint(lastVertex)) < DOUBLE_CLICK_TOLERANCE_PX;
+}
+
+// Export for use in other scripts
+window.domUtils = {
+    escapeHtml,
+    isTextEntryTarget,
+    captureMapDoubleClick,
+    releaseMapDoubleClick,
+    isRepeatVertexClick
+};
@@ -0,0 +1,374 @@
+// Layer Manager for OCP Explorer
+// In-map panel for toggling, fading and reordering the data layers in map.js
+
+const LAYER_DEFINITIONS = [
+    { id: 'transit', name: 'Transit', icon: '🚆' },
+    { id: 'specialAreas', name: 'Special Areas', icon: '⭐' },
+    { id: 'boundary', name: 'City Boundary', icon: '🏙️' },
+    { id: 'zoning', name: 'Zoning Districts', icon: '🧱' },
+    { id: 'landUse', name: 'Land Use Designations', icon: '🎨' }
+];
+
+const DEFAULT_VISIBLE_LAYERS = ['boundary', 'landUse'];
+const LAYER_STORAGE_KEY = 'ocpExplorer.layers';
+const LAYER_URL_PARAM = 'layers';
+
+// Layer state: draw order (top first) plus visibility and opacity per layer
+let layerState = getDefaultLayerState();
+let draggedLayerId = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeLayerManager();
+});
+
+function initializeLayerManager() {
+    layerState = loadLayerState();
+
+    // Keep panel interactions from reaching the map underneath; the panel element
+    // outlives each re-render, so this only needs doing once
+    const panel = document.getElementById('layer-panel');
+    if (panel && window.L) {
+        L.DomEvent.disableClickPropagation(panel);
+        L.DomEvent.disableScrollPropagation(panel);
+    }
+
+    // Apply saved state to layers as map.js creates them
+    window.addEventListener('ocpLayerRegistered', function(e) {
+        applyLayerState(e.detail.layerId);
+        renderLayerPanel();
+    });
+
+    // Layers registered before this script initialized
+    if (window.mapFunctions) {
+        Object.keys(window.mapFunctions.getDataLayers()).forEach(applyLayerState);
+    }
+
+    renderLayerPanel();
+}
+
+function getDefaultLayerState() {
+    const layers = {};
+    LAYER_DEFINITIONS.forEach(definition => {
+        layers[definition.id] = {
+            visible: DEFAULT_VISIBLE_LAYERS.includes(definition.id),
+            opacity: 1
+        };
+    });
+
+    return {
+        order: LAYER_DEFINITIONS.map(definition => definition.id),
+        layers
+    };
+}
+
+// Layer state from the URL first, then localStorage, then defaults
+function loadLayerState() {
+    const urlValue = new URLSearchParams(window.location.search).get(LAYER_URL_PARAM);
+    if (urlValue) {
+        return parseLayerState(urlValue);
+    }
+
+    try {
+        const stored = localStorage.getItem(LAYER_STORAGE_KEY);
+        if (stored) {
+            return parseLayerState(stored);
+        }
+    } catch (error) {
+        console.warn('Could not read saved layer state:', error);
+    }
+
+    return getDefaultLayerState();
+}
+
+// Serialize as a comma list in draw order, e.g. "boundary,landUse@60,-zoning"
+// A leading "-" marks a hidden layer and "@n" an opacity percentage below 100
+function serializeLayerState(state = layerState) {
+    return state.order.map(layerId => {
+        const { visible, opacity } = state.layers[layerId];
+        const percent = Math.round(opacity * 100);
+        return `${visible ? '' : '-'}${layerId}${percent < 100 ? `@${percent}` : ''}`;
+    }).join(',');
+}
+
+function parseLayerState(value) {
+    const state = getDefaultLayerState();
+    const knownIds = new Set(state.order);
+    const order = [];
+
+    value.split(',').forEach(entry => {
+        const match = entry.trim().match(/^(-?)([A-Za-z]+)(?:@(\d{1,3}))?$/);
+        if (!match || !knownIds.has(match[2]) || order.includes(match[2])) return;
+
+        const [, hiddenFlag, layerId, percent] = match;
+        order.push(layerId);
+        state.layers[layerId] = {
+            visible: hiddenFlag !== '-',
+            opacity: percent !== undefined ? Math.min(100, parseInt(percent, 10)) / 100 : 1
+        };
+    });
+
+    // Layers missing from the saved value keep their default position and visibility
+    state.order.forEach(layerId => {
+        if (!order.includes(layerId)) {
+            order.push(layerId);
+        }
+    });
+    state.order = order;
+
+    return state;
+}
+
+function saveLayerState() {
+    const serialized = serializeLayerState();
+
+    try {
+        localStorage.setItem(LAYER_STORAGE_KEY, serialized);
+    } catch (error) {
+        console.warn('Could not save layer state:', error);
+    }
+
+    // url-state.js mirrors the layers into the address bar
+    window.dispatchEvent(new CustomEvent('ocpLayersChanged', {
+        detail: { layers: serialized }
+    }));
+}
+
+// Replace the whole layer state without saving it, e.g. when navigating browser history
+function restoreLayerState(value) {
+    layerState = parseLayerState(value);
+    applyAllLayerStates();
+    renderLayerPanel();
+}
+
+// Push visibility, opacity and draw order for one layer onto the map
+function applyLayerState(layerId) {
+    const layer = window.mapFunctions?.getDataLayers()[layerId];
+    const settings = layerState.layers[layerId];
+    if (!layer || !settings || !window.map) return;
+
+    if (settings.visible && !window.map.hasLayer(layer)) {
+        window.map.addLayer(layer);
+    } else if (!settings.visible && window.map.hasLayer(layer)) {
+        window.map.removeLayer(layer);
+    }
+
+    const pane = window.map.getPane(window.mapFunctions.getLayerPane(layerId));
+    pane.style.opacity = settings.opacity;
+
+    // Overlay panes sit between the tile pane (200) and the marker shadows (500)
+    const position = layerState.order.indexOf(layerId);
+    pane.style.zIndex = 410 + (layerState.order.length - position) * 10;
+}
+
+function applyAllLayerStates() {
+    layerState.order.forEach(applyLayerState);
+}
+
+function setLayerVisibility(layerId, visible) {
+    if (!layerState.layers[layerId]) return;
+
+    layerState.layers[layerId].visible = visible;
+    applyLayerState(layerId);
+    saveLayerState();
+}
+
+// Pass save = false for intermediate values, e.g. while a slider is being dragged
+function setLayerOpacity(layerId, opacity, save = true) {
+    if (!layerState.layers[layerId]) return;
+
+    layerState.layers[layerId].opacity = Math.max(0, Math.min(1, opacity));
+    applyLayerState(layerId);
+    if (save) {
+        saveLayerState();
+    }
+}
+
+// Move a layer to the position currently held by another layer
+function moveLayer(layerId, targetLayerId) {
+    const order = layerState.order.filter(id => id !== layerId);
+    const targetIndex = order.indexOf(targetLayerId);
+    if (targetIndex === -1) return;
+
+    const insertAfter = layerState.order.indexOf(layerId) < layerState.order.indexOf(targetLayerId);
+    order.splice(insertAfter ? targetIndex + 1 : targetIndex, 0, layerId);
+    layerState.order = order;
+
+    applyAllLayerStates();
+    saveLayerState();
+    renderLayerPanel();
+}
+
+// Panel rendering
+function renderLayerPanel() {
+    const panel = document.getElementById('layer-panel');
+    if (!panel) return;
+
+    const dataLayers = window.mapFunctions ? window.mapFunctions.getDataLayers() : {};
+
+    const items = layerState.order.map(layerId => {
+        const definition = LAYER_DEFINITIONS.find(item => item.id === layerId);
+        const settings = layerState.layers[layerId];
+        const available = Boolean(dataLayers[layerId]);
+        const percent = Math.round(settings.opacity * 100);
+
+        return `
+            <li class="layer-item${available ? '' : ' unavailable'}" draggable="true" data-layer-id="${layerId}">
+                <span class="layer-drag-handle" title="Drag to reorder">⋮⋮</span>
+                <label class="layer-toggle">
+                    <input type="checkbox" data-action="visibility" ${settings.visible ? 'checked' : ''} ${available ? '' : 'disabled'}>
+                    <span>${definition.icon} ${definition.name}</span>
+                </label>
+                ${available ? `
+                    <input type="range" class="layer-opacity" data-action="opacity" min="0" max="100" step="5"
+                           value="${percent}" title="Opacity ${percent}%" aria-label="${definition.name} opacity">
+                ` : '<span class="layer-status">Not available</span>'}
+            </li>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="layer-panel-header">
+            <h3>Layers</h3>
+            <button class="layer-panel-close" data-action="close" title="Close">×</button>
+        </div>
+        ${renderViewSwitch(dataLayers)}
+        <ul class="layer-list">${items}</ul>
+        <p class="layer-panel-hint">Drag layers to change drawing order</p>
+        ${renderZoningFilter(dataLayers)}
+    `;
+
+    bindLayerPanelEvents(panel);
+}
+
+// Land use / zoning view switch
+function renderViewSwitch(dataLayers) {
+    if (!dataLayers.landUse || !dataLayers.zoning) return '';
+
+    const landUseVisible = layerState.layers.landUse.visible;
+    const zoningVisible = layerState.layers.zoning.visible;
+
+    return `
+        <div class="layer-view-switch" role="group" aria-label="Map view">
+            <button data-view="landUse" class="${landUseVisible && !zoningVisible ? 'active' : ''}">🎨 Land Use</button>
+            <button data-view="zoning" class="${zoningVisible && !landUseVisible ? 'active' : ''}">🧱 Zoning</button>
+        </div>
+    `;
+}
+
+// Zoning category checkboxes
+function renderZoningFilter(dataLayers) {
+    if (!dataLayers.zoning || !window.mapFunctions) return '';
+
+    const activeCategories = window.mapFunctions.getZoningCategoryFilter();
+    const checkboxes = window.mapFunctions.getZoningCategories().map(category => `
+        <label class="zoning-filter-option">
+            <input type="checkbox" data-zoning-category="${category.id}"
+                   ${!activeCategories || activeCategories.includes(category.id) ? 'checked' : ''}>
+            <span class="zoning-filter-swatch" style="border-color: ${category.color};"></span>
+            ${category.name}
+        </label>
+    `).join('');
+
+    return `
+        <fieldset class="zoning-filter">
+            <legend>Zoning categories</legend>
+            ${checkboxes}
+        </fieldset>
+    `;
+}
+
+function bindLayerPanelEvents(panel) {
+    panel.querySelector('[data-action="close"]').addEventListener('click', function() {
+        togglePanel(false);
+    });
+
+    panel.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', function() {
+            window.mapFunctions.setMapView(this.dataset.view);
+            renderLayerPanel();
+        });
+    });
+
+    panel.querySelectorAll('[data-zoning-category]').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const checked = Array.from(panel.querySelectorAll('[data-zoning-category]'));
+            const selected = checked.filter(input => input.checked).map(input => input.dataset.zoningCategory);
+            window.mapFunctions.setZoningCategoryFilter(selected.length === checked.length ? null : selected);
+        });
+    });
+
+    panel.querySelectorAll('.layer-item').forEach(item => {
+        const layerId = item.dataset.layerId;
+
+        item.querySelector('[data-action="visibility"]').addEventListener('change', function() {
+            setLayerVisibility(layerId, this.checked);
+        });
+
+        const slider = item.querySelector('[data-action="opacity"]');
+        if (slider) {
+            // Preview while dragging; save once the slider is released
+            slider.addEventListener('input', function() {
+                this.title = `Opacity ${this.value}%`;
+                setLayerOpacity(layerId, parseInt(this.value, 10) / 100, false);
+            });
+            slider.addEventListener('change', function() {
+                setLayerOpacity(layerId, parseInt(this.value, 10) / 100);
+            });
+            // Sliders should adjust opacity, not start a row drag
+            slider.addEventListener('mousedown', () => item.setAttribute('draggable', 'false'));
+            slider.addEventListener('mouseup', () => item.setAttribute('draggable', 'true'));
+        }
+
+        item.addEventListener('dragstart', function(e) {
+            draggedLayerId = layerId;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', layerId);
+        });
+
+        item.addEventListener('dragover', function(e) {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+
+        item.addEventListener('dragleave', function() {
+            item.classList.remove('drag-over');
+        });
+
+        item.addEventListener('drop', function(e) {
+            e.preventDefault();
+            item.classList.remove('drag-over');
+            if (draggedLayerId && draggedLayerId !== layerId) {
+                moveLayer(draggedLayerId, layerId);
+            }
+        });
+
+        item.addEventListener('dragend', function() {
+            draggedLayerId = null;
+            item.classList.remove('dragging');
+        });
+    });
+}
+
+function togglePanel(forceOpen) {
+    const panel = document.getElementById('layer-panel');
+    if (!panel) return;
+
+    const open = typeof forceOpen === 'boolean' ? forceOpen : panel.hidden;
+    panel.hidden = !open;
+
+    if (open) {
+        renderLayerPanel();
+    }
+}
+
+// Export for use in other scripts
+window.layerManager = {
+    togglePanel,
+    setLayerVisibility,
+    setLayerOpacity,
+    moveLayer,
+    serializeLayerState,
+    restoreLayerState,
+    getLayerState: () => layerState
+};
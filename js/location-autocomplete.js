@@ -0,0 +1,305 @@
+// Location Autocomplete for OCP Explorer
+// Type-ahead location search in the map controls: geocoded places plus OCP planning terms
+
+const LOCATION_LOOKUP_DELAY_MS = 250;
+const LOCATION_MIN_QUERY_LENGTH = 2;
+const LOCATION_CANDIDATE_LIMIT = 6;
+const LOCATION_TOPIC_LIMIT = 3;
+
+const LOCATION_TYPE_ICONS = {
+    address: '🏠',
+    intersection: '✚',
+    landmark: '📍',
+    street: '🛣️'
+};
+
+let locationLookupTimer = null;
+let locationLookupSequence = 0;
+let locationOptions = []; // { kind: 'place', candidate } or { kind: 'topic', term }
+let locationOptionsQuery = '';
+let locationLookupError = null; // Error from the last geocoder lookup, shown in place of the places
+let activeLocationIndex = -1;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeLocationAutocomplete();
+});
+
+function initializeLocationAutocomplete() {
+    const form = document.getElementById('location-search-form');
+    const input = document.getElementById('location-search-input');
+    if (!form || !input) return;
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitLocationSearch(input.value);
+    });
+
+    input.addEventListener('input', function() {
+        clearTimeout(locationLookupTimer);
+        locationLookupTimer = setTimeout(() => lookupLocations(input.value), LOCATION_LOOKUP_DELAY_MS);
+    });
+
+    input.addEventListener('keydown', handleLocationKeys);
+    input.addEventListener('blur', function() {
+        // Let a click on an option land before the list disappears
+        setTimeout(hideLocationOptions, 150);
+    });
+
+    document.getElementById('location-search-options').addEventListener('mousedown', function(e) {
+        const option = e.target.closest('[data-option-index]');
+        if (option) {
+            e.preventDefault();
+            selectLocationOption(parseInt(option.dataset.optionIndex, 10));
+        }
+    });
+}
+
+// Query the geocoder and the planning term suggestions, ignoring responses to superseded queries
+async function lookupLocations(query) {
+    const trimmed = query.trim();
+    const sequence = ++locationLookupSequence;
+
+    if (trimmed.length < LOCATION_MIN_QUERY_LENGTH) {
+        locationOptions = [];
+        locationLookupError = null;
+        hideLocationOptions();
+        setLocationBusy(false);
+        return [];
+    }
+
+    setLocationBusy(true);
+
+    const topics = window.ocpSearchEngine
+        ? window.ocpSearchEngine.getSuggestions(trimmed).slice(0, LOCATION_TOPIC_LIMIT)
+        : [];
+
+    let places = [];
+    let lookupError = null;
+    try {
+        // Ask for places outside the city too, so they can be badged rather than silently missing
+        const result = await window.mapFunctions.geocodeLocation(trimmed, LOCATION_CANDIDATE_LIMIT, { includeOutside: true });
+        places = result.candidates.map(candidate => ({
+            ...candidate,
+            withinBoundary: isCandidateWithinBoundary(candidate)
+        }));
+    } catch (error) {
+        console.warn('Location lookup failed:', error);
+        lookupError = error;
+    }
+
+    // A newer keystroke has already started its own lookup
+    if (sequence !== locationLookupSequence) {
+        return null;
+    }
+
+    setLocationBusy(false);
+
+    locationOptions = [
+        ...places.map(candidate => ({ kind: 'place', candidate })),
+        ...topics.map(term => ({ kind: 'topic', term }))
+    ];
+    locationOptionsQuery = trimmed;
+    locationLookupError = lookupError;
+    renderLocationOptions();
+
+    return places;
+}
+
+// Prefer the boundary loaded in the browser; fall back to the geocoder's own check
+function isCandidateWithinBoundary(candidate) {
+    const dataHandler = window.ocpDataHandler;
+    if (dataHandler?.isLoaded && dataHandler.spatialIndexes.boundary) {
+        return dataHandler.queryPoint('boundary', candidate.lat, candidate.lng).length > 0;
+    }
+    return candidate.withinBoundary !== false;
+}
+
+function renderLocationOptions() {
+    const list = document.getElementById('location-search-options');
+    const input = document.getElementById('location-search-input');
+    if (!list) return;
+
+    activeLocationIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+
+    const places = locationOptions.filter(option => option.kind === 'place');
+    const topics = locationOptions.filter(option => option.kind === 'topic');
+
+    let placesHtml;
+    if (locationLookupError) {
+        placesHtml = '<li class="location-options-empty error" role="alert">Location search is unavailable right now</li>';
+    } else if (places.length === 0) {
+        placesHtml = '<li class="location-options-empty" role="presentation">No matching places in New Westminster</li>';
+    } else {
+        placesHtml = places.map(option => renderPlaceOption(option.candidate, locationOptions.indexOf(option))).join('');
+    }
+
+    const topicsHtml = topics.length > 0 ? `
+        <li class="location-options-group" role="presentation">Search the OCP for</li>
+        ${topics.map(option => `
+            <li role="option" id="location-option-${locationOptions.indexOf(option)}" class="location-option topic"
+                data-option-index="${locationOptions.indexOf(option)}">
+                <span class="location-option-icon">🔎</span>
+                <span class="location-option-label">${escapeHtml(option.term)}</span>
+            </li>
+        `).join('')}
+    ` : '';
+
+    list.innerHTML = `
+        <li class="location-options-group" role="presentation">Places</li>
+        ${placesHtml}
+        ${topicsHtml}
+    `;
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+}
+
+function renderPlaceOption(candidate, index) {
+    const boundaryBadge = candidate.withinBoundary
+        ? '<span class="location-boundary inside" title="Inside the city boundary">✓ In city</span>'
+        : '<span class="location-boundary outside" title="Outside the city boundary">✗ Outside</span>';
+
+    return `
+        <li role="option" id="location-option-${index}" class="location-option" data-option-index="${index}">
+            <span class="location-option-icon">${LOCATION_TYPE_ICONS[candidate.type] || '📍'}</span>
+            <span class="location-option-label">
+                ${escapeHtml(candidate.label)}
+                <small>${escapeHtml(candidate.type)} · ${Math.round(candidate.confidence * 100)}% match</small>
+            </span>
+            ${boundaryBadge}
+        </li>
+    `;
+}
+
+function handleLocationKeys(e) {
+    const list = document.getElementById('location-search-options');
+
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            if (list.hidden) {
+                if (locationOptions.length > 0) renderLocationOptions();
+                return;
+            }
+            setActiveLocationOption(Math.min(activeLocationIndex + 1, locationOptions.length - 1));
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            if (!list.hidden) {
+                setActiveLocationOption(Math.max(activeLocationIndex - 1, 0));
+            }
+            break;
+        case 'Enter':
+            if (!list.hidden && activeLocationIndex >= 0) {
+                e.preventDefault();
+                selectLocationOption(activeLocationIndex);
+            }
+            break;
+        case 'Escape':
+            if (!list.hidden) {
+                hideLocationOptions();
+            } else {
+                e.target.value = '';
+                e.target.blur();
+            }
+            break;
+    }
+}
+
+function setActiveLocationOption(index) {
+    const input = document.getElementById('location-search-input');
+    activeLocationIndex = index;
+
+    document.querySelectorAll('#location-search-options [data-option-index]').forEach(option => {
+        const active = parseInt(option.dataset.optionIndex, 10) === index;
+        option.classList.toggle('active', active);
+        option.setAttribute('aria-selected', active ? 'true' : 'false');
+        if (active) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    input.setAttribute('aria-activedescendant', index >= 0 ? `location-option-${index}` : '');
+}
+
+// Enter without a highlighted option goes to the best place for the current text,
+// preferring one inside the city; otherwise the list stays open to say why nothing happened
+async function submitLocationSearch(query) {
+    clearTimeout(locationLookupTimer);
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    // Retry a failed lookup instead of reusing its empty result
+    if (trimmed !== locationOptionsQuery || locationLookupError) {
+        try {
+            const places = await lookupLocations(trimmed);
+            // A newer lookup has taken over
+            if (places === null) return;
+        } catch (error) {
+            console.error('Location search failed:', error);
+            setLocationBusy(false);
+            locationOptions = [];
+            locationOptionsQuery = trimmed;
+            locationLookupError = error;
+        }
+    }
+
+    const places = locationOptions.filter(option => option.kind === 'place');
+    const bestPlace = places.find(option => option.candidate.withinBoundary) || places[0];
+    if (bestPlace) {
+        selectLocationOption(locationOptions.indexOf(bestPlace));
+    } else {
+        renderLocationOptions();
+    }
+}
+
+function selectLocationOption(index) {
+    const option = locationOptions[index];
+    if (!option) return;
+
+    const input = document.getElementById('location-search-input');
+    hideLocationOptions();
+
+    if (option.kind === 'place') {
+        input.value = option.candidate.label;
+        locationOptionsQuery = option.candidate.label;
+        window.mapFunctions.showLocation(option.candidate.lat, option.candidate.lng);
+    } else if (window.searchPanel) {
+        // Planning terms belong to the sidebar OCP search
+        input.value = '';
+        window.searchPanel.search(option.term);
+    }
+}
+
+function hideLocationOptions() {
+    const list = document.getElementById('location-search-options');
+    const input = document.getElementById('location-search-input');
+    if (list) {
+        list.hidden = true;
+    }
+    if (input) {
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+    activeLocationIndex = -1;
+}
+
+function setLocationBusy(isBusy) {
+    const form = document.getElementById('location-search-form');
+    if (form) {
+        form.classList.toggle('busy', isBusy);
+        form.setAttribute('aria-busy', isBusy ? 'true' : 'false');
+    }
+}
+
+function focusLocationSearch() {
+    const input = document.getElementById('location-search-input');
+    if (input) {
+        input.focus();
+        input.select();
+    }
+}
+
+// Export for use in other scripts
+window.locationAutocomplete = {
+    focus: focusLocationSearch,
+    lookup: lookupLocations
+};
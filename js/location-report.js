@@ -0,0 +1,419 @@
+// Location Report for OCP Explorer
+// Printable property report for a selected location, ready to save as PDF from the browser
+
+const REPORT_MAP_ZOOM = 17;
+const REPORT_TILE_TIMEOUT_MS = 3000;
+const REPORT_DISCLAIMER = 'Information in this report is drawn from the New Westminster Official Community Plan (2017) ' +
+    'and the City\'s land use designation and zoning district maps. It is provided for reference only and does not ' +
+    'replace the Zoning Bylaw or a review by City staff. Verify all regulations with the City of New Westminster ' +
+    'before relying on them in a development application.';
+
+let reportMap = null;
+let reportTilesReady = null; // Resolves once the snapshot tiles have loaded
+let reportDocumentTitle = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeLocationReport();
+});
+
+function initializeLocationReport() {
+    const report = document.getElementById('location-report');
+    if (!report) return;
+
+    report.addEventListener('click', function(e) {
+        const action = e.target.closest('[data-report-action]')?.dataset.reportAction;
+        if (action === 'print') {
+            printLocationReport();
+        } else if (action === 'close' || e.target === report) {
+            closeLocationReport();
+        }
+    });
+
+    report.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeLocationReport();
+        }
+    });
+
+    window.addEventListener('afterprint', function() {
+        if (reportDocumentTitle !== null) {
+            document.title = reportDocumentTitle;
+            reportDocumentTitle = null;
+        }
+    });
+}
+
+// Assemble the report for a location and show it over the app
+async function openLocationReport(lat, lng) {
+    const report = document.getElementById('location-report');
+    if (!report) return null;
+
+    if (!window.ocpDataHandler?.isLoaded) {
+        alert('Data still loading...');
+        return null;
+    }
+
+    let locationInfo;
+    try {
+        locationInfo = await window.ocpDataHandler.getLocationInfo(lat, lng);
+    } catch (error) {
+        console.error('Error building location report:', error);
+        report.innerHTML = buildReportErrorHtml(lat, lng, error);
+        report.hidden = false;
+        document.body.classList.add('report-open');
+        report.querySelector('.location-report-sheet').focus();
+        return null;
+    }
+
+    const generatedAt = new Date();
+
+    report.innerHTML = buildReportHtml(locationInfo, generatedAt);
+    report.dataset.reportTitle = `OCP Property Report ${lat.toFixed(5)} ${lng.toFixed(5)} ${generatedAt.toISOString().slice(0, 10)}`;
+    report.hidden = false;
+    document.body.classList.add('report-open');
+
+    renderReportMap(locationInfo);
+    report.querySelector('.location-report-sheet').focus();
+
+    return locationInfo;
+}
+
+function closeLocationReport() {
+    const report = document.getElementById('location-report');
+    if (!report || report.hidden) return;
+
+    if (reportMap) {
+        reportMap.remove();
+        reportMap = null;
+    }
+    reportTilesReady = null;
+
+    report.hidden = true;
+    report.innerHTML = '';
+    document.body.classList.remove('report-open');
+}
+
+// Print once the map tiles are in, so the snapshot is not blank in the PDF
+async function printLocationReport() {
+    const report = document.getElementById('location-report');
+    if (!report || report.hidden) return;
+
+    report.classList.add('preparing');
+    if (reportTilesReady) {
+        await reportTilesReady;
+    }
+    report.classList.remove('preparing');
+
+    // Browsers suggest the document title as the PDF file name
+    reportDocumentTitle = document.title;
+    document.title = report.dataset.reportTitle || document.title;
+    window.print();
+}
+
+// The overlay with only a close button, for a location whose details could not be loaded
+function buildReportErrorHtml(lat, lng, error) {
+    return `
+        <article class="location-report-sheet" tabindex="-1" aria-labelledby="location-report-title">
+            <div class="location-report-toolbar">
+                <button type="button" class="report-btn" data-report-action="close">Close</button>
+            </div>
+
+            <header class="report-header">
+                <div>
+                    <h2 id="location-report-title">Property Report</h2>
+                    <p>${lat.toFixed(6)}, ${lng.toFixed(6)}</p>
+                </div>
+            </header>
+
+            <section class="report-section">
+                <p class="report-empty" role="alert">The report could not be built: ${escapeHtml(error.message)}</p>
+            </section>
+        </article>
+    `;
+}
+
+function buildReportHtml(locationInfo, generatedAt) {
+    const { lat, lng } = locationInfo.coordinates;
+    const coordinates = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    const timestamp = generatedAt.toLocaleString('en-CA', { dateStyle: 'long', timeStyle: 'short' });
+
+    const sections = locationInfo.withinBoundary ? [
+        buildReportLandUseSection(locationInfo),
+        buildReportZoningSection(locationInfo),
+        buildReportTransitSection(locationInfo),
+        buildReportSpecialAreasSection(locationInfo),
+        buildReportPoliciesSection(locationInfo)
+    ].join('') : `
+        <section class="report-section">
+            <p class="report-empty">This location is not within New Westminster's jurisdiction. Local zoning and land use regulations do not apply here.</p>
+        </section>
+    `;
+
+    return `
+        <article class="location-report-sheet" tabindex="-1" aria-labelledby="location-report-title">
+            <div class="location-report-toolbar">
+                <button type="button" class="report-btn primary" data-report-action="print">🖨️ Print / Save as PDF</button>
+                <button type="button" class="report-btn" data-report-action="close">Close</button>
+            </div>
+
+            <header class="report-header">
+                <div>
+                    <h2 id="location-report-title">Property Report</h2>
+                    <p>New Westminster Official Community Plan</p>
+                </div>
+                <dl class="report-meta">
+                    <dt>Coordinates</dt><dd>${coordinates}</dd>
+                    <dt>Generated</dt><dd><time datetime="${generatedAt.toISOString()}">${escapeHtml(timestamp)}</time></dd>
+                </dl>
+            </header>
+
+            <figure class="report-map-figure">
+                <div id="location-report-map" class="report-map"></div>
+                <figcaption>Site at ${coordinates}${locationInfo.landUse ? ` · ${escapeHtml(locationInfo.landUse.code)} designation shaded` : ''}${locationInfo.zoning ? ` · ${escapeHtml(locationInfo.zoning.code)} zone outlined` : ''}</figcaption>
+            </figure>
+
+            ${buildReportBoundarySection(locationInfo)}
+            ${sections}
+
+            <footer class="report-disclaimer">
+                <p><strong>Source and disclaimer.</strong> ${REPORT_DISCLAIMER}</p>
+            </footer>
+        </article>
+    `;
+}
+
+function buildReportBoundarySection(locationInfo) {
+    const feature = locationInfo.boundaryFeature;
+    const featureText = feature
+        ? `Boundary feature ${escapeHtml(feature.id)}${feature.label ? ` · ${escapeHtml(feature.label)}` : ''}${feature.district ? ` (district ${escapeHtml(feature.district)})` : ''}`
+        : '';
+
+    return `
+        <section class="report-section">
+            <h3>Boundary Status</h3>
+            <p class="report-status ${locationInfo.withinBoundary ? 'inside' : 'outside'}">
+                ${locationInfo.withinBoundary ? '✓ Within New Westminster' : '✗ Outside New Westminster city limits'}
+            </p>
+            ${featureText ? `<p class="report-note">${featureText}</p>` : ''}
+        </section>
+    `;
+}
+
+function buildReportLandUseSection(locationInfo) {
+    const landUse = locationInfo.landUse;
+    if (!landUse) {
+        return `
+            <section class="report-section">
+                <h3>Land Use Designation</h3>
+                <p class="report-empty">No land use designation is mapped at this point.</p>
+            </section>
+        `;
+    }
+
+    const uses = landUse.principalUses || landUse.allowedUses || [];
+    const rows = [
+        ['Designation', `${escapeHtml(landUse.name)} (${escapeHtml(landUse.code)})`],
+        ['Category', landUse.category ? escapeHtml(landUse.category) : null],
+        ['Density', landUse.maxDensity ? escapeHtml(landUse.maxDensity) : null],
+        ['Designation Area', locationInfo.landUseArea ? `${escapeHtml(locationInfo.landUseArea.id)} (${formatArea(locationInfo.landUseArea.area)})` : null]
+    ];
+
+    return `
+        <section class="report-section">
+            <h3>Land Use Designation</h3>
+            ${buildReportTable(rows)}
+            ${landUse.description ? `<p>${escapeHtml(landUse.description)}</p>` : ''}
+            ${uses.length > 0 ? `
+                <h4>Principal Uses</h4>
+                <ul>${uses.map(use => `<li>${escapeHtml(use)}</li>`).join('')}</ul>
+            ` : ''}
+        </section>
+    `;
+}
+
+function buildReportZoningSection(locationInfo) {
+    const zoning = locationInfo.zoning;
+    if (!zoning) {
+        return `
+            <section class="report-section">
+                <h3>Zoning Regulations</h3>
+                <p class="report-empty">No zoning district is mapped at this point.</p>
+            </section>
+        `;
+    }
+
+    const regulations = locationInfo.regulations;
+    const rows = [
+        ['Zone', `${escapeHtml(zoning.name)} (${escapeHtml(zoning.code)})`],
+        ['Zoning Area', locationInfo.zoningArea ? `${escapeHtml(locationInfo.zoningArea.id)} (${formatArea(locationInfo.zoningArea.area)})` : null]
+    ];
+
+    if (regulations) {
+        rows.push(
+            ['Height Limit', regulations.height.text ? escapeHtml(formatHeightRegulation(regulations.height)) : null],
+            ['Minimum Height', regulations.height.minimum ? escapeHtml(formatHeightRegulation(regulations.height.minimum)) : null],
+            ['Max FAR', regulations.far.text !== null ? escapeHtml(formatRegulationMeasure(regulations.far)) : null],
+            ['Lot Coverage', regulations.lotCoverage.text !== null ? escapeHtml(formatRegulationMeasure(regulations.lotCoverage)) : null],
+            ['Min Lot Size', regulations.minLotSize.text !== null ? escapeHtml(formatRegulationMeasure(regulations.minLotSize)) : null],
+            ['Setbacks', Object.keys(regulations.setbacks).length > 0 ? escapeHtml(formatSetbacks(regulations.setbacks)) : null]
+        );
+    }
+
+    const notes = [];
+    if (regulations?.subjectToApproval) notes.push('Some limits are set case by case and are subject to approval.');
+    else if (regulations?.variable) notes.push('Some limits vary by site.');
+    (regulations?.warnings || []).forEach(warning => {
+        notes.push(`Could not interpret ${warning.field} "${warning.text}". Check the Zoning Bylaw.`);
+    });
+
+    return `
+        <section class="report-section">
+            <h3>Zoning Regulations</h3>
+            ${buildReportTable(rows)}
+            ${notes.map(note => `<p class="report-note">${escapeHtml(note)}</p>`).join('')}
+        </section>
+    `;
+}
+
+function buildReportTransitSection(locationInfo) {
+    const transit = locationInfo.transit;
+    if (!transit) return '';
+
+    const rows = [
+        ['Nearest Station', `${escapeHtml(transit.nearestStation.name)} (${escapeHtml(transit.nearestStation.line)})`],
+        ['Straight-line Distance', formatLength(transit.distance)],
+        ['Walk Radius', transit.walkRadius !== null ? `Within ${transit.walkRadius} m` : null],
+        ['Frequent Transit Development Area', transit.inFTDA ? escapeHtml(transit.ftdaStation.name) : 'No']
+    ];
+
+    return `
+        <section class="report-section">
+            <h3>Transit</h3>
+            ${buildReportTable(rows)}
+        </section>
+    `;
+}
+
+function buildReportSpecialAreasSection(locationInfo) {
+    const specialAreas = locationInfo.specialAreas || [];
+
+    return `
+        <section class="report-section">
+            <h3>Special Areas</h3>
+            ${specialAreas.length > 0 ? `
+                <ul>${specialAreas.map(area => `
+                    <li>
+                        <strong>${escapeHtml(area.name)}</strong>${area.description ? ` — ${escapeHtml(area.description)}` : ''}
+                        ${(area.targets || []).length > 0 ? `
+                            <ul>${area.targets.map(target => `
+                                <li>${escapeHtml(target.label)}: ${escapeHtml(target.value)}</li>
+                            `).join('')}</ul>
+                        ` : ''}
+                    </li>
+                `).join('')}</ul>
+            ` : '<p class="report-empty">No special policy areas are mapped at this location.</p>'}
+        </section>
+    `;
+}
+
+function buildReportPoliciesSection(locationInfo) {
+    const policies = locationInfo.policies || [];
+    const restrictions = locationInfo.restrictions || [];
+    const guidelines = locationInfo.guidelines || [];
+
+    return `
+        <section class="report-section">
+            <h3>Relevant Policies</h3>
+            ${policies.length > 0 ? policies.map(policy => `
+                <div class="report-policy">
+                    <p><strong>${escapeHtml(policy.id)}: ${escapeHtml(policy.title)}</strong></p>
+                    ${policy.text ? `<p>${escapeHtml(policy.text)}</p>` : ''}
+                    ${policy.reason ? `<p class="report-note">Applies because: ${escapeHtml(policy.reason)}</p>` : ''}
+                </div>
+            `).join('') : '<p class="report-empty">No policies were matched to this location.</p>'}
+            ${restrictions.length > 0 ? `
+                <h4>Requirements</h4>
+                <ul>${restrictions.map(restriction => `
+                    <li><strong>${escapeHtml(restriction.label)}</strong> — ${escapeHtml(restriction.reason)}</li>
+                `).join('')}</ul>
+            ` : ''}
+            ${guidelines.length > 0 ? `
+                <h4>Development Guidelines</h4>
+                <ul>${guidelines.map(guideline => `
+                    <li>${escapeHtml(guideline.text)} <em>(${escapeHtml(guideline.reason)})</em></li>
+                `).join('')}</ul>
+            ` : ''}
+        </section>
+    `;
+}
+
+// Two-column label/value table, skipping rows without a value
+function buildReportTable(rows) {
+    const filled = rows.filter(([, value]) => value !== null && value !== undefined);
+    if (filled.length === 0) return '';
+
+    return `
+        <table class="report-table">
+            <tbody>
+                ${filled.map(([label, value]) => `<tr><th scope="row">${label}</th><td>${value}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Fixed map of the site: the designation and zone polygons around the selected point
+function renderReportMap(locationInfo) {
+    const container = document.getElementById('location-report-map');
+    if (!container || !window.L) return;
+
+    const { lat, lng } = locationInfo.coordinates;
+
+    reportMap = L.map(container, {
+        zoomControl: false,
+        attributionControl: true,
+        dragging: false,
+        scrollWheelZoom: false,
+        doubleClickZoom: false,
+        boxZoom: false,
+        keyboard: false,
+        touchZoom: false
+    }).setView([lat, lng], REPORT_MAP_ZOOM);
+
+    const tiles = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors'
+    }).addTo(reportMap);
+
+    reportTilesReady = new Promise(resolve => {
+        tiles.once('load', resolve);
+        setTimeout(resolve, REPORT_TILE_TIMEOUT_MS);
+    });
+
+    const dataHandler = window.ocpDataHandler;
+    const landUseArea = dataHandler.getLandUseAreaAt(lat, lng);
+    const zoningArea = dataHandler.getZoningAreaAt(lat, lng);
+
+    if (landUseArea) {
+        L.geoJSON(landUseArea.feature, { style: getLandUseStyle }).addTo(reportMap);
+    }
+    if (zoningArea) {
+        L.geoJSON(zoningArea.feature, {
+            style: { color: '#111827', weight: 2, dashArray: '6 4', fill: false }
+        }).addTo(reportMap);
+    }
+
+    L.circleMarker([lat, lng], {
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#dc2626',
+        fillOpacity: 1
+    }).addTo(reportMap);
+}
+
+// Export for use in other scripts
+window.locationReport = {
+    open: openLocationReport,
+    close: closeLocationReport,
+    print: printLocationReport
+};
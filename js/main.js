@@ -101,8 +101,19 @@ function handleKeyboardShortcuts(event) {
 }
 
 function clearMapSelections() {
-    if (window.mapFunctions && window.mapFunctions.clearMarkers) {
-        window.mapFunctions.clearMarkers();
+    if (window.mapFunctions && window.mapFunctions.clearSelection) {
+        window.mapFunctions.clearSelection();
+        window.mapFunctions.clearDesignationHighlight();
+    }
+    
+    if (window.siteDrawing) {
+        window.siteDrawing.clear();
+    }
+    if (window.measureTools) {
+        window.measureTools.clear();
+    }
+    if (window.nearbyAmenities) {
+        window.nearbyAmenities.clear();
     }
     
     // Reset property info panel
@@ -122,6 +133,9 @@ Keyboard Shortcuts:
 
 Mouse Controls:
 • Click: Select location
+• Shift + Click: Pin site for comparison (up to 4)
+• Distance / Area: Measure on the map (drag points to adjust)
+• Site / Box: Draw a site to analyze (Enter or double-click to finish, Backspace to undo a corner)
 • Scroll: Zoom in/out
 • Drag: Pan map
     `;
@@ -5,7 +5,9 @@ let map;
 let currentMarkers = [];
 let cityBoundaryLayer;
 let dataLayers = {}; // Store different data layers
-let currentSearchResults = [];
+let selectedLocation = null; // Last location picked on the map
+let displayedLocationInfo = null; // Location analysis shown in the property panel, for exports
+let highlightedDesignations = null; // Designation codes emphasized on the land use layer
 
 // Initialize map when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -37,12 +39,16 @@ function initializeMap() {
     
     // Set up map event listeners
     setupMapEvents();
+    setupPropertyPanelEvents();
     
     // Load real city boundary from GeoJSON
     loadCityBoundary();
     
     // Initialize data layers when OCP data is ready
     window.addEventListener('ocpDataLoaded', initializeDataLayers);
+    if (window.ocpDataHandler?.isLoaded) {
+        initializeDataLayers();
+    }
     
     // Make map globally accessible
     window.map = map;
@@ -66,6 +72,20 @@ function setupMapEvents() {
     // Handle move events
     map.on('moveend', function() {
         updateMapInfo();
+        updateMapLegend();
+    });
+}
+
+// Export buttons are re-rendered with the panel, so listen on the container
+function setupPropertyPanelEvents() {
+    const propertyInfo = document.getElementById('property-info');
+    if (!propertyInfo) return;
+    
+    propertyInfo.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-export-format]');
+        if (button) {
+            exportLocationData(button.dataset.exportFormat);
+        }
     });
 }
 
@@ -74,8 +94,19 @@ async function handleMapClick(e) {
     const lat = e.latlng.lat.toFixed(6);
     const lng = e.latlng.lng.toFixed(6);
     
+    // Clicks place corners while a site is being drawn
+    if (window.siteDrawing?.isDrawing() || window.measureTools?.isMeasuring()) return;
+    
+    // Shift-click pins the site for comparison instead of replacing the selection
+    if (e.originalEvent?.shiftKey && window.siteComparison) {
+        await window.siteComparison.addSite(parseFloat(lat), parseFloat(lng));
+        return;
+    }
+    
     console.log('Map clicked at:', lat, lng);
     
+    selectedLocation = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    
     // Clear previous markers
     clearMarkers();
     
@@ -87,6 +118,10 @@ async function handleMapClick(e) {
     
     currentMarkers.push(marker);
     
+    window.dispatchEvent(new CustomEvent('ocpSelectionChanged', {
+        detail: { location: { ...selectedLocation } }
+    }));
+    
     // Always try to get location information from data handler
     if (window.ocpDataHandler?.isLoaded) {
         try {
@@ -106,6 +141,8 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
     const propertyInfo = document.getElementById('property-info');
     if (!propertyInfo) return;
     
+    displayedLocationInfo = errorMessage ? null : locationInfo;
+    
     if (errorMessage) {
         propertyInfo.innerHTML = `
             <div class="property-details">
@@ -135,6 +172,11 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
         ? '<span style="color: #22c55e;">✓ Within New Westminster</span>'
         : '<span style="color: #ef4444;">✗ Outside city limits</span>';
     
+    const boundaryFeature = locationInfo.boundaryFeature;
+    const boundaryFeatureHtml = boundaryFeature ? `
+        <br><span style="font-size: 0.85em; color: #6b7280;">Boundary feature ${boundaryFeature.id}${boundaryFeature.label ? ` · ${boundaryFeature.label}` : ''}${boundaryFeature.district ? ` (district ${boundaryFeature.district})` : ''}</span>
+    ` : '';
+    
     let landUseSection = '';
     if (locationInfo.landUse) {
         const allowedUses = locationInfo.landUse.principalUses || locationInfo.landUse.allowedUses || [];
@@ -150,9 +192,17 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
                 <p><strong>${locationInfo.landUse.name} (${locationInfo.landUse.code})</strong></p>
                 <p style="font-size: 0.9em; color: #6b7280;">${locationInfo.landUse.description}</p>
                 <p><strong>Density:</strong> ${locationInfo.landUse.maxDensity || 'Low density residential'}</p>
+                ${locationInfo.landUseArea ? `<p><strong>Designation Area:</strong> ${locationInfo.landUseArea.id} (${formatArea(locationInfo.landUseArea.area)})</p>` : ''}
                 ${usesHtml}
             </div>
         `;
+    } else if (locationInfo.withinBoundary) {
+        landUseSection = `
+            <div class="info-section">
+                <h4>Land Use Designation</h4>
+                <p style="font-size: 0.9em; color: #6b7280;">No land use designation is mapped at this point.</p>
+            </div>
+        `;
     }
     
     let zoningSection = '';
@@ -160,22 +210,40 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
         zoningSection = `
             <div class="info-section">
                 <h4>Zoning Information</h4>
-                <p><strong>${locationInfo.zoning.name}</strong></p>
-                ${locationInfo.zoning.maxHeight ? `<p><strong>Height Limit:</strong> ${locationInfo.zoning.maxHeight}</p>` : ''}
-                ${locationInfo.zoning.maxFAR ? `<p><strong>Max FAR:</strong> ${locationInfo.zoning.maxFAR}</p>` : ''}
-                ${locationInfo.zoning.lotCoverage ? `<p><strong>Lot Coverage:</strong> ${locationInfo.zoning.lotCoverage}</p>` : ''}
+                <p><strong>${locationInfo.zoning.name} (${locationInfo.zoning.code})</strong></p>
+                ${locationInfo.zoningArea ? `<p><strong>Zoning Area:</strong> ${locationInfo.zoningArea.id} (${formatArea(locationInfo.zoningArea.area)})</p>` : ''}
+                ${buildRegulationsHtml(locationInfo.regulations)}
+                ${window.capacityCalculator ? window.capacityCalculator.buildHtml(locationInfo.zoning.code) : ''}
             </div>
         `;
     }
     
+    // Policies, requirements and guidelines matched to this location, each with why it applies
     let policiesSection = '';
-    if (locationInfo.policies && locationInfo.policies.length > 0) {
+    const policies = locationInfo.policies || [];
+    const restrictions = locationInfo.restrictions || [];
+    const guidelines = locationInfo.guidelines || [];
+    if (policies.length > 0 || restrictions.length > 0 || guidelines.length > 0) {
         policiesSection = `
             <div class="info-section">
                 <h4>Relevant Policies</h4>
-                ${locationInfo.policies.map(policy => 
-                    `<p><strong>${policy.id}:</strong> ${policy.title}</p>`
-                ).join('')}
+                ${policies.map(policy => `
+                    <p><button type="button" class="policy-link" data-policy-id="${policy.id}" title="Open in the policy browser">${policy.id}</button> ${policy.title}</p>
+                    ${policy.reason ? `<p class="policy-reason">${policy.reason}</p>` : ''}
+                `).join('')}
+                ${restrictions.length > 0 ? `
+                    <h5>Requirements</h5>
+                    ${restrictions.map(restriction => `
+                        <p class="regulation-warning">⚠️ ${restriction.label}<br><span class="policy-reason">${restriction.reason}</span></p>
+                    `).join('')}
+                ` : ''}
+                ${guidelines.length > 0 ? `
+                    <h5>Development Guidelines</h5>
+                    ${guidelines.map(guideline => `
+                        <p>${guideline.text}</p>
+                        <p class="policy-reason">${guideline.reason}</p>
+                    `).join('')}
+                ` : ''}
             </div>
         `;
     }
@@ -192,8 +260,9 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
         <div class="info-section">
             <div class="action-buttons" style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 10px;">
                 <button onclick="searchNearbyAmenities(${lat}, ${lng})" style="flex: 1; min-width: 120px; padding: 6px 12px; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85em;">🔍 Search Nearby</button>
-                <button onclick="getMoreLocationDetails(${lat}, ${lng})" style="flex: 1; min-width: 120px; padding: 6px 12px; background: #10b981; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85em;">📋 More Details</button>
+                <button onclick="getMoreLocationDetails(${lat}, ${lng})" style="flex: 1; min-width: 120px; padding: 6px 12px; background: #10b981; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85em;">📋 Property Report</button>
             </div>
+            ${window.ocpExport ? window.ocpExport.buildButtonsHtml('Export') : ''}
         </div>
     `;
     
@@ -205,11 +274,13 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
             <h3>📍 Location Analysis</h3>
             <p><strong>Coordinates:</strong><br>
             <span style="font-family: monospace;">${lat}, ${lng}</span></p>
-            <p><strong>Boundary Status:</strong><br>${boundaryStatus}</p>
+            <p><strong>Boundary Status:</strong><br>${boundaryStatus}${boundaryFeatureHtml}</p>
             
             ${outsideBoundaryMessage}
             ${landUseSection}
             ${zoningSection}
+            ${buildTransitHtml(locationInfo.transit)}
+            ${buildSpecialAreasHtml(locationInfo.specialAreas)}
             ${policiesSection}
             ${actionsSection}
             ${dataSource}
@@ -217,191 +288,640 @@ function updatePropertyInfoPanel(locationInfo, lat, lng, errorMessage = null) {
     `;
 }
 
-// Initialize data layers (placeholder for future features)
+// Initialize data layers from the loaded OCP data
 function initializeDataLayers() {
-    console.log('Data layers ready for initialization');
-    // Future: Add layers for transit, amenities, etc.
+    if (!map || dataLayers.landUse || !window.ocpDataHandler?.isLoaded) return;
+    
+    createLandUseLayer(window.ocpDataHandler);
+    createZoningLayer(window.ocpDataHandler);
+    createTransitLayer(window.ocpDataHandler);
+    createSpecialAreasLayer(window.ocpDataHandler);
+    createMapLegend();
+    
+    console.log('Data layers initialized:', Object.keys(dataLayers).join(', '));
 }
 
-// Layer management functions
-function toggleLayers() {
-    const layerMenu = `
-Available Layers:
-• City Boundary ✓ (always visible)
-• Land Use Zones (coming soon)
-• Zoning Districts (coming soon)
-• Transit Routes (coming soon)
-• Parks & Recreation (coming soon)
-
-Layer controls will be added in future updates!
-    `;
+// Style a designation polygon from the colors in land-use.json
+function getLandUseStyle(feature) {
+    const designation = window.ocpDataHandler.getLandUseInfo(feature.properties.DESIGNATION);
     
-    alert(layerMenu);
+    return {
+        fillColor: designation?.color || '#e5e7eb',
+        color: designation?.borderColor || '#9ca3af',
+        weight: 1,
+        opacity: 0.8,
+        fillOpacity: 0.6
+    };
 }
 
-// Search functionality
-async function searchLocation() {
-    const query = prompt('Search for location, address, or landmark:');
-    if (!query) return;
+function createLandUseLayer(dataHandler) {
+    if (!dataHandler.data.landUseAreas) return;
     
-    updateSearchLoadingState(true);
+    const landUseLayer = L.geoJSON(dataHandler.data.landUseAreas, {
+        pane: getLayerPane('landUse'),
+        style: getLandUseStyle,
+        onEachFeature: function(feature, layer) {
+            const designation = dataHandler.getLandUseInfo(feature.properties.DESIGNATION);
+            layer.bindTooltip(`${feature.properties.DESIGNATION} · ${designation?.name || 'Unknown designation'}`, {
+                sticky: true
+            });
+            
+            layer.on({
+                mouseover: highlightFeature,
+                mouseout: resetLandUseFeature,
+                click: function(e) {
+                    // Handle the click once here instead of again on the map
+                    L.DomEvent.stopPropagation(e);
+                    handleMapClick(e);
+                }
+            });
+        }
+    });
     
-    // Simulate search - in production would use real geocoding
-    const searchResult = await simulateLocationSearch(query);
+    // Keep the legend in step with the layer's visibility
+    landUseLayer.on('add remove', updateMapLegend);
+    registerDataLayer('landUse', landUseLayer);
+}
+
+function highlightFeature(e) {
+    e.target.setStyle({
+        weight: 3,
+        opacity: 1,
+        fillOpacity: 0.85
+    });
+}
+
+function resetLandUseFeature(e) {
+    if (dataLayers.landUse) {
+        dataLayers.landUse.resetStyle(e.target);
+        applyDesignationHighlight(e.target);
+    }
+}
+
+// Emphasize the polygons of the given designation codes and fade the rest
+function highlightDesignations(codes, options = {}) {
+    const landUseLayer = dataLayers.landUse;
+    if (!landUseLayer) return;
     
-    updateSearchLoadingState(false);
+    highlightedDesignations = codes && codes.length > 0 ? new Set(codes) : null;
     
-    if (searchResult.found) {
-        goToLocation(searchResult.lat, searchResult.lng, 16);
+    if (highlightedDesignations && window.layerManager && !map.hasLayer(landUseLayer)) {
+        window.layerManager.setLayerVisibility('landUse', true);
+    }
+    
+    const matchedBounds = L.latLngBounds([]);
+    landUseLayer.eachLayer(layer => {
+        landUseLayer.resetStyle(layer);
+        applyDesignationHighlight(layer);
         
-        // Simulate click at the location to show info
-        const fakeEvent = {
-            latlng: { lat: searchResult.lat, lng: searchResult.lng }
-        };
-        handleMapClick(fakeEvent);
-    }
-    
-    let resultText = `Search Results for "${query}":\n\n`;
-    if (searchResult.found) {
-        resultText += `📍 Found: ${searchResult.name}\n`;
-        resultText += `Coordinates: ${searchResult.lat}, ${searchResult.lng}\n`;
-        resultText += `Type: ${searchResult.type}\n\n`;
-        resultText += 'Map has been moved to this location.';
-    } else {
-        resultText += `❌ No results found for "${query}"\n\n`;
-        resultText += 'Try searching for:\n';
-        resultText += '• Street addresses (e.g., "123 Main St")\n';
-        resultText += '• Landmarks (e.g., "City Hall", "Pier Park")\n';
-        resultText += '• Neighborhoods (e.g., "Queensborough")\n';
-        resultText += '• Intersections (e.g., "6th & 6th")';
-    }
-    
-    alert(resultText);
-    
-    // Store results for layer management
-    currentSearchResults = searchResult.results;
-}
-
-// Simulate location search (replace with real geocoding service)
-async function simulateLocationSearch(query) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Sample locations in New Westminster
-    const sampleLocations = [
-        { name: 'New Westminster City Hall', lat: 49.2069, lng: -122.9102, type: 'Municipal Building' },
-        { name: 'Pier Park', lat: 49.2019, lng: -122.9059, type: 'Park' },
-        { name: 'Queens Park', lat: 49.2157, lng: -122.9156, type: 'Park' },
-        { name: 'New Westminster Station', lat: 49.2014, lng: -122.9126, type: 'Transit' },
-        { name: 'Royal Columbian Hospital', lat: 49.2144, lng: -122.9021, type: 'Healthcare' },
-        { name: 'Douglas College', lat: 49.2069, lng: -122.9019, type: 'Education' },
-        { name: 'Uptown New Westminster', lat: 49.2206, lng: -122.9126, type: 'Commercial' },
-        { name: 'Queensborough', lat: 49.1899, lng: -122.9406, type: 'Neighborhood' }
-    ];
+        if (highlightedDesignations?.has(layer.feature.properties.DESIGNATION)) {
+            matchedBounds.extend(layer.getBounds());
+        }
+    });
     
-    // Simple search logic
-    const lowerQuery = query.toLowerCase();
-    const found = sampleLocations.find(loc => 
-        loc.name.toLowerCase().includes(lowerQuery) ||
-        loc.type.toLowerCase().includes(lowerQuery)
-    );
+    if (matchedBounds.isValid() && options.fitBounds !== false) {
+        map.fitBounds(matchedBounds, { padding: [30, 30], maxZoom: 16 });
+    }
     
-    if (found) {
-        return {
-            found: true,
-            ...found,
-            results: [found]
-        };
+    return matchedBounds.isValid();
+}
+
+function applyDesignationHighlight(layer) {
+    if (!highlightedDesignations) return;
+    
+    if (highlightedDesignations.has(layer.feature.properties.DESIGNATION)) {
+        layer.setStyle({ weight: 3, opacity: 1, fillOpacity: 0.85 });
+    } else {
+        layer.setStyle({ opacity: 0.2, fillOpacity: 0.1 });
     }
+}
+
+function clearDesignationHighlight() {
+    highlightDesignations(null);
+}
+
+// Zoning categories from zoning.json with outline colors to tell them apart
+const ZONING_CATEGORY_STYLES = {
+    residential: { name: 'Residential', color: '#d97706' },
+    commercial: { name: 'Commercial', color: '#7c3aed' },
+    mixedUse: { name: 'Mixed Use', color: '#059669' },
+    employment: { name: 'Employment', color: '#475569' },
+    healthcare: { name: 'Healthcare', color: '#c2410c' },
+    special: { name: 'Special', color: '#0369a1' }
+};
+
+let zoningCategoryFilter = null; // null shows every category
+
+function getZoningStyle(feature) {
+    const zone = window.ocpDataHandler.getZoningInfo(feature.properties.ZONE_CODE);
     
     return {
-        found: false,
-        results: []
+        fillColor: zone?.color || '#e5e7eb',
+        color: ZONING_CATEGORY_STYLES[zone?.category]?.color || '#6b7280',
+        weight: 1.5,
+        opacity: 0.9,
+        dashArray: '4 3',
+        fillOpacity: 0.55
     };
 }
 
-// Helper functions for new features
-function getCurrentMapCenter() {
-    if (!map) return null;
-    const center = map.getCenter();
-    return { lat: center.lat, lng: center.lng };
+function createZoningLayer(dataHandler) {
+    if (!dataHandler.data.zoningAreas) return;
+    
+    const zoningLayer = L.geoJSON(null, {
+        pane: getLayerPane('zoning'),
+        style: getZoningStyle,
+        filter: function(feature) {
+            if (!zoningCategoryFilter) return true;
+            const zone = dataHandler.getZoningInfo(feature.properties.ZONE_CODE);
+            return Boolean(zone && zoningCategoryFilter.includes(zone.category));
+        },
+        onEachFeature: function(feature, layer) {
+            layer.bindTooltip(`${feature.properties.ZONE_CODE} · ${feature.properties.ZONE_ID}`, { sticky: true });
+            layer.bindPopup(() => buildZonePopup(feature));
+            
+            layer.on({
+                mouseover: highlightFeature,
+                mouseout: resetZoningFeature,
+                click: function(e) {
+                    L.DomEvent.stopPropagation(e);
+                    handleMapClick(e);
+                    // Show the zone details in place of the selection popup
+                    if (!e.originalEvent?.shiftKey) {
+                        e.target.openPopup(e.latlng);
+                    }
+                }
+            });
+        }
+    });
+    
+    zoningLayer.addData(dataHandler.data.zoningAreas);
+    zoningLayer.on('add remove', updateMapLegend);
+    registerDataLayer('zoning', zoningLayer);
+}
+
+// SkyTrain stations with their walk radii; FTDA stations shade the area treated as the FTDA
+const TRANSIT_STYLES = {
+    station: { radius: 6, color: '#1d4ed8', weight: 2, fillColor: 'white', fillOpacity: 1 },
+    walkRadius: { color: '#1d4ed8', weight: 1.5, dashArray: '4 4', fill: false, interactive: false },
+    ftda: { color: '#7c3aed', weight: 1.5, fillColor: '#7c3aed', fillOpacity: 0.08, interactive: false }
+};
+
+function createTransitLayer(dataHandler) {
+    const stations = dataHandler.data.transitStations?.stations;
+    if (!stations) return;
+    
+    const pane = getLayerPane('transit');
+    const transitLayer = L.layerGroup();
+    
+    stations.forEach(station => {
+        OCPDataHandler.TRANSIT_WALK_RADII.forEach(radius => {
+            const isFtdaRadius = station.ftda && radius === dataHandler.data.transitStations.ftdaRadiusMetres;
+            L.circle([station.lat, station.lng], {
+                pane,
+                radius,
+                ...(isFtdaRadius ? TRANSIT_STYLES.ftda : TRANSIT_STYLES.walkRadius)
+            }).addTo(transitLayer);
+        });
+        
+        L.circleMarker([station.lat, station.lng], { pane, ...TRANSIT_STYLES.station })
+            .bindTooltip(`🚆 ${station.name}${station.ftda ? ' · FTDA' : ''}`)
+            .addTo(transitLayer);
+    });
+    
+    transitLayer.on('add remove', updateMapLegend);
+    registerDataLayer('transit', transitLayer);
+}
+
+function buildTransitLegend() {
+    const radii = OCPDataHandler.TRANSIT_WALK_RADII;
+    
+    return `
+        <h4 class="legend-heading">Transit</h4>
+        <div class="legend-item">
+            <span class="legend-color legend-station"></span>
+            <span>SkyTrain station</span>
+        </div>
+        <div class="legend-item">
+            <span class="legend-color legend-walk-radius"></span>
+            <span>${radii.join(' / ')} m walk radius</span>
+        </div>
+        <div class="legend-item" title="${window.ocpDataHandler.data.transitStations.ftdaNote}">
+            <span class="legend-color" style="background: rgba(124, 58, 237, 0.15); border-color: #7c3aed;"></span>
+            <span>Frequent Transit Development Area <small>(approx.)</small></span>
+        </div>
+    `;
+}
+
+// Nearest station and FTDA status for the property panel
+function buildTransitHtml(transit) {
+    if (!transit) return '';
+    
+    // Walking at about 80 m a minute
+    const walkText = transit.walkRadius !== null
+        ? `within ${transit.walkRadius} m (about ${Math.round(transit.walkRadius / 80)} min walk)`
+        : `beyond ${OCPDataHandler.TRANSIT_WALK_RADII[OCPDataHandler.TRANSIT_WALK_RADII.length - 1]} m`;
+    
+    return `
+        <div class="info-section">
+            <h4>Transit</h4>
+            <p><strong>Nearest Station:</strong> ${transit.nearestStation.name} (${transit.nearestStation.line})</p>
+            <p><strong>Distance:</strong> ${formatLength(transit.distance)} straight-line, ${walkText}</p>
+            ${transit.inFTDA ? `<p class="ftda-badge">🚆 In the ${transit.ftdaStation.name.replace(/ Station$/, '')} Frequent Transit Development Area</p>` : ''}
+        </div>
+    `;
+}
+
+// Special area outlines by AREA_TYPE in Special_Areas.geojson
+const SPECIAL_AREA_STYLES = {
+    regionalCityCentre: { color: '#b91c1c', name: 'Regional City Centre' },
+    localCentre: { color: '#c2410c', name: 'Local Centre' },
+    masterPlanArea: { color: '#047857', name: 'Master Plan Area' },
+    specialEmploymentArea: { color: '#0e7490', name: 'Special Employment Area' }
+};
+
+function getSpecialAreaStyle(feature) {
+    const color = SPECIAL_AREA_STYLES[feature.properties.AREA_TYPE]?.color || '#6b7280';
+    
+    return {
+        color,
+        weight: 2.5,
+        opacity: 0.9,
+        dashArray: '8 4',
+        fillColor: color,
+        fillOpacity: 0.1
+    };
 }
 
-function updateSearchLoadingState(isLoading) {
-    const searchBtn = document.querySelector('.control-btn[onclick="searchLocation()"]');
-    if (searchBtn) {
-        if (isLoading) {
-            searchBtn.innerHTML = '<span>⏳</span> Searching...';
-            searchBtn.disabled = true;
-        } else {
-            searchBtn.innerHTML = '<span>🔍</span> Search';
-            searchBtn.disabled = false;
+function createSpecialAreasLayer(dataHandler) {
+    if (!dataHandler.data.specialAreaPolygons) return;
+    
+    const specialAreasLayer = L.geoJSON(dataHandler.data.specialAreaPolygons, {
+        pane: getLayerPane('specialAreas'),
+        style: getSpecialAreaStyle,
+        onEachFeature: function(feature, layer) {
+            layer.bindTooltip(`⭐ ${feature.properties.NAME}`, { sticky: true });
+            layer.bindPopup(() => buildSpecialAreaPopup(feature));
+            
+            layer.on({
+                mouseover: highlightFeature,
+                mouseout: function(e) {
+                    specialAreasLayer.resetStyle(e.target);
+                },
+                click: function(e) {
+                    L.DomEvent.stopPropagation(e);
+                    handleMapClick(e);
+                    if (!e.originalEvent?.shiftKey) {
+                        e.target.openPopup(e.latlng);
+                    }
+                }
+            });
         }
+    });
+    
+    specialAreasLayer.on('add remove', updateMapLegend);
+    registerDataLayer('specialAreas', specialAreasLayer);
+}
+
+function buildSpecialAreaTargets(targets) {
+    if (!targets || targets.length === 0) return '';
+    
+    return `
+        <ul class="special-area-targets">
+            ${targets.map(target => `<li><strong>${target.label}:</strong> ${target.value}</li>`).join('')}
+        </ul>
+    `;
+}
+
+function buildSpecialAreaPopup(feature) {
+    const specialArea = window.ocpDataHandler.describeSpecialArea(feature.properties);
+    
+    return `
+        <div class="zone-popup">
+            <h4>${specialArea.name}</h4>
+            <p class="zone-popup-meta">${SPECIAL_AREA_STYLES[specialArea.type]?.name || specialArea.type} · ${formatArea(specialArea.area)}</p>
+            ${specialArea.description ? `<p>${specialArea.description}</p>` : ''}
+            ${buildSpecialAreaTargets(specialArea.targets)}
+        </div>
+    `;
+}
+
+function buildSpecialAreasLegend() {
+    const visibleTypes = getPropertyValuesInView(dataLayers.specialAreas, 'AREA_TYPE');
+    const items = Object.entries(SPECIAL_AREA_STYLES)
+        .filter(([type]) => visibleTypes.has(type))
+        .map(([, style]) => `
+            <div class="legend-item">
+                <span class="legend-color legend-special-area" style="background: ${style.color}1a; border-color: ${style.color};"></span>
+                <span>${style.name}</span>
+            </div>
+        `).join('');
+    
+    return `
+        <h4 class="legend-heading">Special Areas</h4>
+        ${items || '<p class="legend-empty">No special areas in view</p>'}
+    `;
+}
+
+// Special areas containing the point, with their OCP targets
+function buildSpecialAreasHtml(specialAreas) {
+    const mapped = (specialAreas || []).filter(specialArea => specialArea.type !== 'frequentTransitDevelopmentArea');
+    if (mapped.length === 0) return '';
+    
+    return `
+        <div class="info-section">
+            <h4>Special Areas</h4>
+            ${mapped.map(specialArea => `
+                <div class="special-area">
+                    <p><strong>⭐ ${specialArea.name}</strong></p>
+                    ${specialArea.description ? `<p>${specialArea.description}</p>` : ''}
+                    ${buildSpecialAreaTargets(specialArea.targets)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function resetZoningFeature(e) {
+    if (dataLayers.zoning) {
+        dataLayers.zoning.resetStyle(e.target);
     }
 }
 
-async function searchNearbyAmenities(lat, lng) {
-    alert(`Nearby Amenities Search\n\nLocation: ${lat}, ${lng}\n\nThis feature will search for:\n• Schools and childcare\n• Parks and recreation\n• Transit stops\n• Healthcare facilities\n• Shopping areas\n\nFull implementation coming in next update!`);
+function buildZonePopup(feature) {
+    const zoneCode = feature.properties.ZONE_CODE;
+    const zone = window.ocpDataHandler.getZoningInfo(zoneCode);
+    if (!zone) {
+        return `<strong>${zoneCode}</strong><br>No regulations found for this zone.`;
+    }
+    
+    const regulations = window.ocpDataHandler.getZoneRegulations(zoneCode);
+    
+    return `
+        <div class="zone-popup">
+            <h4>${zone.name} (${zoneCode})</h4>
+            <p class="zone-popup-meta">${ZONING_CATEGORY_STYLES[zone.category]?.name || zone.category} · ${feature.properties.ZONE_ID} · ${formatArea(feature.properties.SHAPE__Area)}</p>
+            <table>
+                <tr><th>Max Height</th><td>${formatHeightRegulation(regulations.height)}</td></tr>
+                <tr><th>Max FAR</th><td>${formatRegulationMeasure(regulations.far)}</td></tr>
+                <tr><th>Lot Coverage</th><td>${formatRegulationMeasure(regulations.lotCoverage)}</td></tr>
+                <tr><th>Min Lot Size</th><td>${formatRegulationMeasure(regulations.minLotSize)}</td></tr>
+                <tr><th>Setbacks</th><td>${formatSetbacks(regulations.setbacks)}</td></tr>
+            </table>
+            ${zone.allowedUses ? `
+                <h5>Allowed Uses</h5>
+                <ul>${zone.allowedUses.map(use => `<li>${use}</li>`).join('')}</ul>
+            ` : ''}
+        </div>
+    `;
 }
 
-async function getMoreLocationDetails(lat, lng) {
-    if (!window.ocpDataHandler?.isLoaded) {
-        alert('Data still loading...');
-        return;
+// Show only the given zoning categories (pass null to show all)
+function setZoningCategoryFilter(categories) {
+    zoningCategoryFilter = categories && categories.length > 0 ? categories.slice() : null;
+    
+    const zoningLayer = dataLayers.zoning;
+    if (!zoningLayer || !window.ocpDataHandler?.isLoaded) return;
+    
+    zoningLayer.clearLayers();
+    zoningLayer.addData(window.ocpDataHandler.data.zoningAreas);
+    updateMapLegend();
+}
+
+// Zoning categories in zoning.json order with display names
+function getZoningCategories() {
+    if (!window.ocpDataHandler?.isLoaded) return [];
+    
+    return Object.keys(window.ocpDataHandler.data.zoning.zoningDistricts).map(categoryName => ({
+        id: categoryName,
+        name: ZONING_CATEGORY_STYLES[categoryName]?.name || categoryName,
+        color: ZONING_CATEGORY_STYLES[categoryName]?.color || '#6b7280'
+    }));
+}
+
+function getZoningCategoryFilter() {
+    return zoningCategoryFilter ? zoningCategoryFilter.slice() : null;
+}
+
+// Switch between the land use and zoning views of the map
+function setMapView(view) {
+    if (!window.layerManager) return;
+    
+    window.layerManager.setLayerVisibility('landUse', view === 'landUse');
+    window.layerManager.setLayerVisibility('zoning', view === 'zoning');
+}
+
+// Legend generated from the visible data layers
+function createMapLegend() {
+    const mapContainer = document.querySelector('.map-container');
+    if (!mapContainer || document.getElementById('data-legend')) return;
+    
+    const legend = document.createElement('div');
+    legend.id = 'data-legend';
+    legend.className = 'map-legend';
+    mapContainer.appendChild(legend);
+    
+    updateMapLegend();
+}
+
+// Collect a feature property for every feature of a layer that is in the current view
+function getPropertyValuesInView(layer, propertyName) {
+    const viewBounds = map.getBounds();
+    const values = new Set();
+    layer.eachLayer(featureLayer => {
+        if (viewBounds.intersects(featureLayer.getBounds())) {
+            values.add(featureLayer.feature.properties[propertyName]);
+        }
+    });
+    return values;
+}
+
+// Refresh the legend to list only what is visible in the current view
+function updateMapLegend() {
+    const legend = document.getElementById('data-legend');
+    if (!legend || !window.ocpDataHandler?.isLoaded) return;
+    
+    const sections = [];
+    if (dataLayers.landUse && map.hasLayer(dataLayers.landUse)) {
+        sections.push(buildLandUseLegend());
+    }
+    if (dataLayers.zoning && map.hasLayer(dataLayers.zoning)) {
+        sections.push(buildZoningLegend());
+    }
+    if (dataLayers.transit && map.hasLayer(dataLayers.transit)) {
+        sections.push(buildTransitLegend());
+    }
+    if (dataLayers.specialAreas && map.hasLayer(dataLayers.specialAreas)) {
+        sections.push(buildSpecialAreasLegend());
     }
     
-    try {
-        const locationInfo = await window.ocpDataHandler.getLocationInfo(lat, lng);
-        
-        let details = `Detailed Location Report\n`;
-        details += `Coordinates: ${lat}, ${lng}\n\n`;
+    legend.style.display = sections.length > 0 ? 'block' : 'none';
+    legend.innerHTML = sections.join('');
+}
+
+// Land use section generated from landUseDesignations and densityCategories
+function buildLandUseLegend() {
+    const landUseData = window.ocpDataHandler.data.landUse;
+    const visibleCodes = getPropertyValuesInView(dataLayers.landUse, 'DESIGNATION');
+    
+    const designations = Object.entries(landUseData.landUseDesignations)
+        .filter(([code]) => visibleCodes.has(code));
+    
+    const designationItems = designations.map(([code, designation]) => `
+        <div class="legend-item" title="${designation.name}">
+            <span class="legend-color" style="background: ${designation.color}; border-color: ${designation.borderColor};"></span>
+            <span>${code} · ${designation.name}</span>
+        </div>
+    `).join('');
+    
+    const densityItems = Object.entries(landUseData.densityCategories).map(([density, category]) => {
+        const codes = designations
+            .filter(([, designation]) => designation.density === density)
+            .map(([code]) => code);
         
-        if (locationInfo.withinBoundary) {
-            details += `BOUNDARY STATUS: ✓ Within New Westminster\n\n`;
-            
-            if (locationInfo.landUse) {
-                details += `LAND USE DESIGNATION:\n`;
-                details += `• Name: ${locationInfo.landUse.name}\n`;
-                details += `• Code: ${locationInfo.landUse.code}\n`;
-                details += `• Category: ${locationInfo.landUse.category}\n`;
-                details += `• Density: ${locationInfo.landUse.maxDensity}\n\n`;
-                
-                if (locationInfo.landUse.principalUses) {
-                    details += `PRINCIPAL USES:\n`;
-                    locationInfo.landUse.principalUses.forEach(use => {
-                        details += `• ${use}\n`;
-                    });
-                    details += '\n';
-                }
-            }
-            
-            if (locationInfo.zoning) {
-                details += `ZONING INFORMATION:\n`;
-                details += `• Zone: ${locationInfo.zoning.name}\n`;
-                if (locationInfo.zoning.maxHeight) details += `• Max Height: ${locationInfo.zoning.maxHeight}\n`;
-                if (locationInfo.zoning.maxFAR) details += `• Max FAR: ${locationInfo.zoning.maxFAR}\n`;
-                if (locationInfo.zoning.lotCoverage) details += `• Lot Coverage: ${locationInfo.zoning.lotCoverage}\n`;
-                details += '\n';
-            }
-            
-            if (locationInfo.policies?.length > 0) {
-                details += `RELEVANT POLICIES:\n`;
-                locationInfo.policies.forEach(policy => {
-                    details += `• ${policy.id}: ${policy.title}\n`;
-                });
-            }
-        } else {
-            details += `BOUNDARY STATUS: ✗ Outside New Westminster city limits\n\n`;
-            details += `This location is not within New Westminster's jurisdiction.\n`;
-            details += `Local zoning and land use regulations do not apply here.`;
-        }
+        return `
+            <div class="legend-item" title="${category.description}">
+                <span class="legend-color" style="background: ${category.color};"></span>
+                <span>${category.name}${codes.length > 0 ? ` <small>(${codes.join(', ')})</small>` : ''}</span>
+            </div>
+        `;
+    }).join('');
+    
+    return `
+        <h4>Land Use</h4>
+        ${designationItems || '<p class="legend-empty">No designations in view</p>'}
+        <h4 class="legend-subheading">Density</h4>
+        ${densityItems}
+    `;
+}
+
+// Zoning section grouped by zoning category
+function buildZoningLegend() {
+    const zoningDistricts = window.ocpDataHandler.data.zoning.zoningDistricts;
+    const visibleCodes = getPropertyValuesInView(dataLayers.zoning, 'ZONE_CODE');
+    
+    const categoryItems = Object.entries(zoningDistricts).map(([categoryName, zones]) => {
+        const zoneItems = Object.entries(zones)
+            .filter(([zoneCode]) => visibleCodes.has(zoneCode))
+            .map(([zoneCode, zone]) => `
+                <div class="legend-item" title="${zone.name}">
+                    <span class="legend-color" style="background: ${zone.color}; border: 2px dashed ${ZONING_CATEGORY_STYLES[categoryName]?.color || '#6b7280'};"></span>
+                    <span>${zoneCode} · ${zone.name}</span>
+                </div>
+            `).join('');
         
-        alert(details);
+        return zoneItems ? `<h5 class="legend-category">${ZONING_CATEGORY_STYLES[categoryName]?.name || categoryName}</h5>${zoneItems}` : '';
+    }).join('');
+    
+    return `
+        <h4 class="legend-heading">Zoning</h4>
+        ${categoryItems || '<p class="legend-empty">No zones in view</p>'}
+    `;
+}
+
+// Layer management functions
+
+// Each data layer draws in its own pane so the layer manager can order and fade it
+function getLayerPane(layerId) {
+    const paneName = `${layerId}Pane`;
+    if (!map.getPane(paneName)) {
+        map.createPane(paneName);
+    }
+    return paneName;
+}
+
+// Add a layer to the map and announce it to the layer manager
+function registerDataLayer(layerId, layer) {
+    if (dataLayers[layerId] && dataLayers[layerId] !== layer) {
+        map.removeLayer(dataLayers[layerId]);
+    }
+    
+    dataLayers[layerId] = layer;
+    layer.addTo(map);
+    
+    window.dispatchEvent(new CustomEvent('ocpLayerRegistered', {
+        detail: { layerId, layer }
+    }));
+}
+
+function toggleLayers() {
+    if (window.layerManager) {
+        window.layerManager.togglePanel();
+    }
+}
+
+// Search functionality
+// Focus the location autocomplete in the map controls
+function searchLocation() {
+    if (window.locationAutocomplete) {
+        window.locationAutocomplete.focus();
+    }
+}
+
+// Move to a location and show its details as if the user had clicked there
+function showLocation(lat, lng, zoom = 16) {
+    goToLocation(lat, lng, zoom);
+    handleMapClick({ latlng: { lat, lng } });
+}
+
+// Resolve an address, intersection or landmark through the geocode function.
+// Returns { candidates: [{ label, type, lat, lng, confidence, withinBoundary }], rejectedOutsideBoundary };
+// places outside the city are left out unless `includeOutside` is set.
+async function geocodeLocation(query, limit = 5, { includeOutside = false } = {}) {
+    const params = new URLSearchParams({ q: query, limit: String(limit) });
+    if (includeOutside) {
+        params.set('includeOutside', 'true');
+    }
+    const response = await fetch(`/api/geocode?${params}`);
+    
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.message || errorBody.error || `Geocoding failed: ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Helper functions for new features
+function getSelectedLocation() {
+    return selectedLocation ? { ...selectedLocation } : null;
+}
+
+function getCurrentMapCenter() {
+    if (!map) return null;
+    const center = map.getCenter();
+    return { lat: center.lat, lng: center.lng };
+}
+
+// List the closest amenities around a location in the sidebar
+async function searchNearbyAmenities(lat, lng) {
+    try {
+        await window.nearbyAmenities.search(parseFloat(lat), parseFloat(lng));
+    } catch (error) {
+        console.error('Error searching nearby amenities:', error);
+        alert(`Error searching nearby amenities: ${error.message}`);
+    }
+}
+
+// Open the printable property report for a location
+async function getMoreLocationDetails(lat, lng) {
+    try {
+        await window.locationReport.open(parseFloat(lat), parseFloat(lng));
     } catch (error) {
+        console.error('Error building location report:', error);
         alert(`Error getting location details: ${error.message}`);
     }
 }
 
+// Download the analysis shown in the property panel as JSON, CSV or GeoJSON
+function exportLocationData(format) {
+    if (!displayedLocationInfo || !window.ocpExport) return;
+    
+    const { lat, lng } = displayedLocationInfo.coordinates;
+    const record = window.ocpExport.buildLocationRecord(displayedLocationInfo);
+    window.ocpExport.download([record], format, `ocp-location-${lat.toFixed(5)}_${lng.toFixed(5)}`);
+}
+
 // Keep existing functions from original map.js
 async function loadCityBoundary() {
     try {
@@ -417,6 +937,9 @@ async function loadCityBoundary() {
         console.log('GeoJSON data loaded:', geojsonData);
         
         cityBoundaryLayer = L.geoJSON(geojsonData, {
+            pane: getLayerPane('boundary'),
+            // Let clicks and hovers reach the designation polygons underneath
+            interactive: false,
             style: function(feature) {
                 return {
                     fillColor: '#3b82f6',
@@ -431,10 +954,14 @@ async function loadCityBoundary() {
                 // Don't add popup - let handleMapClick handle all interactions
                 // This prevents the boundary popup from interfering
             }
-        }).addTo(map);
+        });
         
-        const bounds = cityBoundaryLayer.getBounds();
-        map.fitBounds(bounds, { padding: [20, 20] });
+        registerDataLayer('boundary', cityBoundaryLayer);
+        
+        // A shared link already says where to look
+        if (!window.urlState?.hasInitialView()) {
+            map.fitBounds(cityBoundaryLayer.getBounds(), { padding: [20, 20] });
+        }
         
         console.log('City boundary loaded successfully from GeoJSON');
         
@@ -465,10 +992,13 @@ function addFallbackBoundary() {
     ];
     
     const fallbackRectangle = L.rectangle(fallbackBounds, {
+        pane: getLayerPane('boundary'),
         color: '#ef4444',
         weight: 2,
         fillOpacity: 0.1
-    }).addTo(map);
+    });
+    
+    registerDataLayer('boundary', fallbackRectangle);
     
     fallbackRectangle.bindPopup(`
         <div style="font-family: system-ui; text-align: center;">
@@ -477,7 +1007,9 @@ function addFallbackBoundary() {
         </div>
     `);
     
-    map.fitBounds(fallbackBounds, { padding: [20, 20] });
+    if (!window.urlState?.hasInitialView()) {
+        map.fitBounds(fallbackBounds, { padding: [20, 20] });
+    }
 }
 
 function clearMarkers() {
@@ -487,6 +1019,17 @@ function clearMarkers() {
     currentMarkers = [];
 }
 
+// Forget the selected location as well as its marker
+function clearSelection() {
+    clearMarkers();
+    if (!selectedLocation) return;
+    
+    selectedLocation = null;
+    window.dispatchEvent(new CustomEvent('ocpSelectionChanged', {
+        detail: { location: null }
+    }));
+}
+
 function updateMapScale() {
     const zoom = map.getZoom();
     console.log('Current zoom level:', zoom);
@@ -506,7 +1049,9 @@ function formatArea(area) {
     if (!area) return 'N/A';
     
     const hectares = area / 10000;
-    if (hectares > 100) {
+    if (hectares < 1) {
+        return `${Math.round(area).toLocaleString()} m²`;
+    } else if (hectares > 100) {
         return `${(hectares / 100).toFixed(1)} km²`;
     } else {
         return `${hectares.toFixed(1)} hectares`;
@@ -517,12 +1062,79 @@ function formatLength(length) {
     if (!length) return 'N/A';
     
     if (length > 1000) {
-        return `${(length / 1000).toFixed(1)} km`;
+        return `${(length / 1000).toFixed(2)} km`;
+    } else if (length < 100) {
+        return `${length.toFixed(1)} m`;
     } else {
         return `${length.toFixed(0)} m`;
     }
 }
 
+// Format a typed regulation value from the data handler, falling back to the bylaw wording
+function formatRegulationMeasure(measure) {
+    if (!measure || measure.text === null) return 'N/A';
+    if (measure.value === null) return measure.text;
+
+    switch (measure.unit) {
+        case 'fraction':
+            return `${Math.round(measure.value * 1000) / 10}%`;
+        case 'm²':
+            return `${measure.value.toLocaleString()} m²`;
+        case 'm':
+            return `${measure.value} m`;
+        default:
+            return String(measure.value);
+    }
+}
+
+function formatHeightRegulation(height) {
+    if (!height || !height.text) return 'N/A';
+    if (height.maxMetres === null) return height.text;
+
+    // Mark whichever unit was estimated from the other
+    const metresGiven = /\d\s*m\b/i.test(height.text);
+    const storeys = height.minStoreys !== null ? `${height.minStoreys}–${height.maxStoreys}` : `${height.maxStoreys}`;
+    const formatted = `${metresGiven ? '' : '≈'}${height.maxMetres} m · ${metresGiven && height.estimated ? '≈' : ''}${storeys} storeys`;
+
+    return height.variable ? `${formatted} (varies)` : formatted;
+}
+
+function formatSetbacks(setbacks) {
+    const entries = Object.entries(setbacks || {});
+    if (entries.length === 0) return 'N/A';
+
+    return entries
+        .map(([side, measure]) => `${side.charAt(0).toUpperCase() + side.slice(1)} ${formatRegulationMeasure(measure)}`)
+        .join(' · ');
+}
+
+// Parsed zoning regulations for the property info panel
+function buildRegulationsHtml(regulations) {
+    if (!regulations) return '';
+
+    const rows = [];
+    if (regulations.height.text) rows.push(['Height Limit', formatHeightRegulation(regulations.height)]);
+    if (regulations.height.minimum) rows.push(['Minimum Height', formatHeightRegulation(regulations.height.minimum)]);
+    if (regulations.far.text !== null) rows.push(['Max FAR', formatRegulationMeasure(regulations.far)]);
+    if (regulations.lotCoverage.text !== null) rows.push(['Lot Coverage', formatRegulationMeasure(regulations.lotCoverage)]);
+    if (regulations.minLotSize.text !== null) rows.push(['Min Lot Size', formatRegulationMeasure(regulations.minLotSize)]);
+    if (Object.keys(regulations.setbacks).length > 0) rows.push(['Setbacks', formatSetbacks(regulations.setbacks)]);
+
+    const approvalNote = regulations.subjectToApproval || regulations.variable ? `
+        <p class="regulation-note">${regulations.subjectToApproval ? 'Some limits are set case by case and are subject to approval.' : 'Some limits vary by site.'}</p>
+    ` : '';
+
+    const warnings = regulations.warnings.length > 0 ? `
+        <p class="regulation-warning">⚠️ Could not interpret ${regulations.warnings.map(warning => `${warning.field} "${warning.text}"`).join(', ')}. Check the Zoning Bylaw.</p>
+    ` : '';
+
+    return `
+        ${rows.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('')}
+        ${approvalNote}
+        ${warnings}
+    `;
+}
+
 function goToLocation(lat, lng, zoom = 16) {
     if (map) {
         map.setView([lat, lng], zoom);
@@ -553,10 +1165,24 @@ window.mapFunctions = {
     goToLocation,
     addCustomMarker,
     clearMarkers,
+    clearSelection,
     toggleLayers,
     searchLocation,
+    geocodeLocation,
+    showLocation,
     checkIfWithinBoundary,
     getCurrentMapCenter,
+    getSelectedLocation,
+    highlightDesignations,
+    clearDesignationHighlight,
     searchNearbyAmenities,
-    getMoreLocationDetails
+    getMoreLocationDetails,
+    exportLocationData,
+    getLayerPane,
+    registerDataLayer,
+    setMapView,
+    setZoningCategoryFilter,
+    getZoningCategoryFilter,
+    getZoningCategories,
+    getDataLayers: () => dataLayers
 };
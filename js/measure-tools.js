@@ -0,0 +1,292 @@
+// Measurement Tools for OCP Explorer
+// Geodesic distance and area measuring with a live readout and draggable vertices
+
+const MEASURE_PANE = 'measurePane'; // Above the data layers and drawn sites, below markers
+const MEASURE_STYLE = { pane: MEASURE_PANE, color: '#ea580c', weight: 3, fillColor: '#ea580c', fillOpacity: 0.1 };
+
+let measureMode = null; // 'distance' | 'area' for the measurement on the map
+let measuring = false; // True while vertices are still being added
+let measureVertices = []; // L.LatLng
+let measureCursor = null; // Pointer position previewing the next vertex
+let measureShapeLayer = null;
+let measureVertexLayer = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeMeasureTools();
+});
+
+function initializeMeasureTools() {
+    document.querySelectorAll('[data-measure-mode]').forEach(button => {
+        button.addEventListener('click', function() {
+            const mode = this.dataset.measureMode;
+            if (measuring && measureMode === mode) {
+                finishMeasuring();
+            } else {
+                startMeasuring(mode);
+            }
+        });
+    });
+
+    document.addEventListener('keydown', function(e) {
+        if (!measuring || isTextEntryTarget(e.target)) return;
+
+        if (e.key === 'Escape') {
+            clearMeasurement();
+        } else if (e.key === 'Backspace' && measureVertices.length > 0) {
+            e.preventDefault();
+            measureVertices.pop();
+            renderMeasurement();
+        } else if (e.key === 'Enter') {
+            finishMeasuring();
+        }
+    });
+
+    const readout = document.getElementById('measure-readout');
+    if (readout) {
+        if (window.L) {
+            L.DomEvent.disableClickPropagation(readout);
+        }
+
+        readout.addEventListener('click', function(e) {
+            const action = e.target.closest('[data-measure-action]')?.dataset.measureAction;
+            if (action === 'finish') {
+                finishMeasuring();
+            } else if (action === 'clear') {
+                clearMeasurement();
+            }
+        });
+    }
+}
+
+// Geodesic area (m²) and perimeter (m) of a polygon, shared with drawn-site analysis
+function measureArea(latlngs) {
+    return window.ocpDataHandler.measureRing(latlngs.map(point => [point.lng, point.lat]));
+}
+
+function startMeasuring(mode) {
+    const map = window.map;
+    if (!map) return;
+
+    // Only one drawing tool at a time
+    if (window.siteDrawing?.isDrawing()) {
+        window.siteDrawing.cancel();
+    }
+    clearMeasurement();
+
+    if (!map.getPane(MEASURE_PANE)) {
+        map.createPane(MEASURE_PANE).style.zIndex = 595;
+    }
+    measureShapeLayer = L.layerGroup().addTo(map);
+    measureVertexLayer = L.layerGroup().addTo(map);
+
+    measureMode = mode;
+    measuring = true;
+
+    map.getContainer().classList.add('measuring');
+    captureMapDoubleClick(map, finishMeasuring);
+    map.on('click', handleMeasureClick);
+    map.on('mousemove', handleMeasureMouseMove);
+
+    renderMeasurement();
+    updateMeasureButtons();
+}
+
+// Stop adding vertices; the measurement stays on the map with draggable vertices
+function finishMeasuring() {
+    const map = window.map;
+    if (!map || !measuring) return;
+
+    map.off('click', handleMeasureClick);
+    map.off('mousemove', handleMeasureMouseMove);
+    map.getContainer().classList.remove('measuring');
+    releaseMapDoubleClick(map, finishMeasuring);
+
+    measuring = false;
+    measureCursor = null;
+
+    const minimum = measureMode === 'area' ? 3 : 2;
+    if (measureVertices.length < minimum) {
+        clearMeasurement();
+        return;
+    }
+
+    renderMeasurement();
+    updateMeasureButtons();
+}
+
+function clearMeasurement() {
+    const map = window.map;
+    if (!map) return;
+
+    if (measuring) {
+        measuring = false;
+        map.off('click', handleMeasureClick);
+        map.off('mousemove', handleMeasureMouseMove);
+        map.getContainer().classList.remove('measuring');
+        releaseMapDoubleClick(map, finishMeasuring);
+    }
+
+    [measureShapeLayer, measureVertexLayer].forEach(layer => {
+        if (layer) map.removeLayer(layer);
+    });
+    measureShapeLayer = null;
+    measureVertexLayer = null;
+
+    measureMode = null;
+    measureVertices = [];
+    measureCursor = null;
+
+    renderMeasureReadout();
+    updateMeasureButtons();
+}
+
+function handleMeasureClick(e) {
+    if (isRepeatVertexClick(window.map, e.latlng, measureVertices[measureVertices.length - 1])) return;
+
+    measureVertices.push(e.latlng);
+    renderMeasurement();
+}
+
+function handleMeasureMouseMove(e) {
+    measureCursor = e.latlng;
+    renderMeasureShape();
+    renderMeasureReadout();
+}
+
+function renderMeasurement() {
+    renderMeasureShape();
+    renderMeasureVertices();
+    renderMeasureReadout();
+}
+
+function renderMeasureShape() {
+    if (!measureShapeLayer) return;
+    measureShapeLayer.clearLayers();
+
+    const points = getMeasurePoints();
+    if (points.length < 2) return;
+
+    if (measureMode === 'area' && points.length > 2) {
+        L.polygon(points, { ...MEASURE_STYLE, interactive: false }).addTo(measureShapeLayer);
+    } else {
+        L.polyline(points, { ...MEASURE_STYLE, interactive: false }).addTo(measureShapeLayer);
+    }
+}
+
+// Vertices are draggable markers, so a finished measurement can still be adjusted
+function renderMeasureVertices() {
+    if (!measureVertexLayer) return;
+    measureVertexLayer.clearLayers();
+
+    measureVertices.forEach((vertex, index) => {
+        const marker = L.marker(vertex, {
+            pane: MEASURE_PANE,
+            draggable: true,
+            keyboard: false,
+            title: 'Drag to move',
+            icon: L.divIcon({ className: 'measure-vertex', iconSize: [12, 12], iconAnchor: [6, 6] })
+        }).addTo(measureVertexLayer);
+
+        marker.on('drag', function(e) {
+            measureVertices[index] = e.target.getLatLng();
+            renderMeasureShape();
+            renderMeasureReadout();
+        });
+
+        // Clicking the first corner closes an area, the last vertex ends a distance
+        marker.on('click', function() {
+            if (!measuring) return;
+            const closesArea = measureMode === 'area' && index === 0 && measureVertices.length >= 3;
+            const endsPath = measureMode === 'distance' && index === measureVertices.length - 1;
+            if (closesArea || endsPath) finishMeasuring();
+        });
+    });
+}
+
+// Placed vertices plus the pointer while still measuring
+function getMeasurePoints() {
+    return measuring && measureCursor ? [...measureVertices, measureCursor] : measureVertices;
+}
+
+function getMeasurement() {
+    if (!measureMode) return null;
+
+    const points = getMeasurePoints();
+    if (measureMode === 'area') {
+        const { area, perimeter } = measureArea(points);
+        return {
+            mode: 'area',
+            vertices: measureVertices.map(vertex => ({ lat: vertex.lat, lng: vertex.lng })),
+            area,
+            perimeter
+        };
+    }
+
+    const segments = points.slice(1).map((point, i) => OCPDataHandler.geodesicDistance(points[i], point));
+    return {
+        mode: 'distance',
+        vertices: measureVertices.map(vertex => ({ lat: vertex.lat, lng: vertex.lng })),
+        distance: segments.reduce((sum, length) => sum + length, 0),
+        segments
+    };
+}
+
+function renderMeasureReadout() {
+    const readout = document.getElementById('measure-readout');
+    if (!readout) return;
+
+    const measurement = getMeasurement();
+    if (!measurement) {
+        readout.hidden = true;
+        readout.innerHTML = '';
+        return;
+    }
+
+    let figures;
+    let hint;
+    if (measurement.mode === 'area') {
+        figures = measurement.area > 0 ? `
+            <p><strong>Area:</strong> ${formatArea(measurement.area)}</p>
+            <p><strong>Perimeter:</strong> ${formatLength(measurement.perimeter)}</p>
+        ` : '';
+        hint = 'Click to add corners; click the first corner, double-click or press Enter to finish.';
+    } else {
+        const lastSegment = measurement.segments[measurement.segments.length - 1];
+        figures = measurement.distance > 0 ? `
+            <p><strong>Distance:</strong> ${formatLength(measurement.distance)}</p>
+            ${measurement.segments.length > 1 ? `<p><strong>Last segment:</strong> ${formatLength(lastSegment)}</p>` : ''}
+        ` : '';
+        hint = 'Click to add points; click the last point, double-click or press Enter to finish.';
+    }
+
+    readout.innerHTML = `
+        <div class="measure-figures">
+            ${figures || `<p class="placeholder-text">Click on the map to start measuring ${measurement.mode === 'area' ? 'an area' : 'a distance'}.</p>`}
+        </div>
+        <p class="measure-hint">${measuring ? hint : 'Drag the points to adjust.'}</p>
+        <div class="measure-actions">
+            ${measuring ? '<button type="button" data-measure-action="finish">Finish</button>' : ''}
+            <button type="button" data-measure-action="clear">Clear</button>
+        </div>
+    `;
+    readout.hidden = false;
+}
+
+function updateMeasureButtons() {
+    document.querySelectorAll('[data-measure-mode]').forEach(button => {
+        const active = measuring && button.dataset.measureMode === measureMode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+// Export for use in other scripts
+window.measureTools = {
+    start: startMeasuring,
+    finish: finishMeasuring,
+    clear: clearMeasurement,
+    isMeasuring: () => measuring,
+    getMeasurement,
+    geodesicDistance: OCPDataHandler.geodesicDistance,
+    measureArea
+};
@@ -0,0 +1,183 @@
+// Nearby Amenities for OCP Explorer
+// Lists the closest schools, parks, transit, healthcare and shopping around a location and marks them on the map
+
+const NEARBY_RADIUS_OPTIONS = [400, 800, 1600, 3200]; // metres
+
+let nearbyRadius = OCPDataHandler.NEARBY_DEFAULT_RADIUS;
+let nearbyResult = null;
+let nearbySearchSequence = 0;
+let nearbyLayer = null;
+let nearbyMarkers = new Map(); // Amenity id -> marker
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeNearbyAmenities();
+});
+
+function initializeNearbyAmenities() {
+    const panel = document.getElementById('nearby-amenities');
+    if (!panel) return;
+
+    panel.addEventListener('click', function(e) {
+        const amenityButton = e.target.closest('[data-amenity-id]');
+        if (amenityButton) {
+            focusAmenity(amenityButton.dataset.amenityId);
+        } else if (e.target.closest('[data-nearby-action="clear"]')) {
+            clearNearbyAmenities();
+        }
+    });
+
+    panel.addEventListener('change', function(e) {
+        if (e.target.name === 'nearbyRadius' && nearbyResult) {
+            nearbyRadius = parseInt(e.target.value, 10);
+            searchNearby(nearbyResult.center.lat, nearbyResult.center.lng);
+        }
+    });
+}
+
+// Search around a point and show the results in the sidebar and on the map
+async function searchNearby(lat, lng, radius = nearbyRadius) {
+    const panel = document.getElementById('nearby-amenities');
+    if (!panel || !window.ocpDataHandler?.isLoaded) return null;
+
+    const sequence = ++nearbySearchSequence;
+    nearbyRadius = radius;
+    panel.hidden = false;
+    panel.innerHTML = '<p class="search-status">Searching nearby…</p>';
+
+    let result;
+    try {
+        result = await window.ocpDataHandler.searchNearby(lat, lng, { radius });
+    } catch (error) {
+        if (sequence !== nearbySearchSequence) return null;
+        console.error('Error searching nearby amenities:', error);
+        nearbyResult = null;
+        panel.innerHTML = `<p class="regulation-warning">${escapeHtml(error.message)}</p>`;
+        return null;
+    }
+
+    // A newer search (or a clear) has replaced this one
+    if (sequence !== nearbySearchSequence) {
+        return null;
+    }
+
+    nearbyResult = result;
+    renderNearbyPanel(nearbyResult);
+    renderNearbyMarkers(nearbyResult);
+    panel.scrollIntoView({ block: 'nearest' });
+
+    return nearbyResult;
+}
+
+function renderNearbyPanel(result) {
+    const panel = document.getElementById('nearby-amenities');
+    const { lat, lng } = result.center;
+
+    const radiusOptions = NEARBY_RADIUS_OPTIONS.map(radius => `
+        <option value="${radius}"${radius === result.radius ? ' selected' : ''}>${radius >= 1000 ? `${radius / 1000} km` : `${radius} m`}</option>
+    `).join('');
+
+    const categories = result.categories.map(category => `
+        <div class="nearby-category">
+            <h4>
+                <span class="amenity-swatch" style="background: ${category.color};">${category.icon}</span>
+                ${escapeHtml(category.name)}
+                ${category.total > category.results.length ? `<small>(closest ${category.results.length} of ${category.total})</small>` : ''}
+            </h4>
+            ${category.results.length > 0 ? `
+                <ul>
+                    ${category.results.map(amenity => `
+                        <li>
+                            <button type="button" class="nearby-amenity" data-amenity-id="${escapeHtml(amenity.id)}">
+                                ${escapeHtml(amenity.name)}
+                                <small>${escapeHtml(amenity.type)}</small>
+                            </button>
+                            <span class="nearby-distance">${formatLength(amenity.distance)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : `<p class="placeholder-text">None within ${formatLength(result.radius)}.</p>`}
+        </div>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="nearby-header">
+            <h2>Nearby Amenities</h2>
+            <button type="button" class="nearby-clear" data-nearby-action="clear">Clear</button>
+        </div>
+        <p class="nearby-meta">
+            Within
+            <select name="nearbyRadius" aria-label="Search radius">${radiusOptions}</select>
+            of ${lat.toFixed(5)}, ${lng.toFixed(5)} (straight-line)
+        </p>
+        ${categories}
+    `;
+}
+
+function renderNearbyMarkers(result) {
+    const map = window.map;
+
+    if (!nearbyLayer) {
+        nearbyLayer = L.layerGroup().addTo(map);
+    }
+    nearbyLayer.clearLayers();
+    nearbyMarkers = new Map();
+
+    const radiusCircle = L.circle([result.center.lat, result.center.lng], {
+        radius: result.radius,
+        color: '#6b7280',
+        weight: 1.5,
+        dashArray: '6 6',
+        fill: false,
+        interactive: false
+    }).addTo(nearbyLayer);
+
+    result.categories.forEach(category => {
+        category.results.forEach(amenity => {
+            const marker = L.marker([amenity.lat, amenity.lng], {
+                icon: L.divIcon({
+                    className: 'amenity-marker',
+                    html: `<span style="background: ${category.color};">${category.icon}</span>`,
+                    iconSize: [26, 26],
+                    iconAnchor: [13, 13]
+                }),
+                title: amenity.name
+            })
+                .bindTooltip(`<strong>${escapeHtml(amenity.name)}</strong><br>${escapeHtml(amenity.type)} · ${formatLength(amenity.distance)}`)
+                .addTo(nearbyLayer);
+
+            nearbyMarkers.set(amenity.id, marker);
+        });
+    });
+
+    map.fitBounds(radiusCircle.getBounds(), { padding: [20, 20] });
+}
+
+function focusAmenity(amenityId) {
+    const marker = nearbyMarkers.get(amenityId);
+    if (!marker) return;
+
+    window.map.setView(marker.getLatLng(), Math.max(window.map.getZoom(), 16));
+    marker.openTooltip();
+}
+
+function clearNearbyAmenities() {
+    nearbySearchSequence++;
+    if (nearbyLayer) {
+        nearbyLayer.clearLayers();
+    }
+    nearbyMarkers = new Map();
+    nearbyResult = null;
+
+    const panel = document.getElementById('nearby-amenities');
+    if (panel) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+    }
+}
+
+// Export for use in other scripts
+window.nearbyAmenities = {
+    search: searchNearby,
+    clear: clearNearbyAmenities,
+    getLastResult: () => nearbyResult
+};
@@ -0,0 +1,265 @@
+// Policy Browser for OCP Explorer
+// Collapsible sidebar tree of ocp-policies.json, with related areas linked to the map
+
+// Sections of ocp-policies.json shown after the policy categories.
+// `areaLists` renders their string lists as area tags that can be shown on the map.
+const POLICY_BROWSER_SECTIONS = [
+    { key: 'developmentGuidelines', name: 'Development Guidelines' },
+    { key: 'specialAreas', name: 'Special Areas' },
+    { key: 'growthProjections', name: 'Growth Projections' },
+    { key: 'restrictionsAndRequirements', name: 'Restrictions and Requirements', areaLists: true }
+];
+
+// Policy fields with their own layout; anything else is listed as a detail
+const POLICY_MAIN_FIELDS = ['title', 'text', 'actions', 'relatedAreas', 'applicableAreas'];
+
+let activeRelatedArea = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializePolicyBrowser();
+});
+
+function initializePolicyBrowser() {
+    const browser = document.getElementById('policy-browser');
+    if (!browser) return;
+
+    if (window.ocpDataHandler?.isLoaded) {
+        renderPolicyBrowser();
+    } else {
+        window.addEventListener('ocpDataLoaded', renderPolicyBrowser, { once: true });
+    }
+
+    browser.addEventListener('click', function(e) {
+        const chip = e.target.closest('[data-related-area]');
+        if (chip) {
+            showRelatedArea(chip.dataset.relatedArea);
+        } else if (e.target.closest('[data-policy-action="clear"]')) {
+            clearRelatedArea();
+        }
+    });
+
+    // Policy IDs in the property panel open that policy here
+    const propertyInfo = document.getElementById('property-info');
+    if (propertyInfo) {
+        propertyInfo.addEventListener('click', function(e) {
+            const link = e.target.closest('[data-policy-id]');
+            if (link) showPolicy(link.dataset.policyId);
+        });
+    }
+}
+
+function renderPolicyBrowser() {
+    const browser = document.getElementById('policy-browser');
+    const policyData = window.ocpDataHandler.data.policies;
+    if (!browser || !policyData) return;
+
+    const categories = Object.entries(policyData.policies || {}).map(([category, policies]) => `
+        <details class="policy-group">
+            <summary>${escapeHtml(humanizePolicyKey(category))} <small>(${Object.keys(policies).length})</small></summary>
+            ${Object.entries(policies).map(([id, policy]) => renderPolicyItem(id, policy)).join('')}
+        </details>
+    `).join('');
+
+    const sections = POLICY_BROWSER_SECTIONS
+        .filter(section => policyData[section.key])
+        .map(section => `
+            <details class="policy-group">
+                <summary>${section.name}</summary>
+                ${renderPolicyDetails(policyData[section.key], section.areaLists)}
+            </details>
+        `).join('');
+
+    browser.innerHTML = `
+        <h2>OCP Policies</h2>
+        <p class="policy-browser-hint">Select an area tag to see where it applies on the map.</p>
+        <div class="policy-highlight-status" hidden>
+            <span></span>
+            <button type="button" data-policy-action="clear">Clear</button>
+        </div>
+        ${categories}
+        ${sections}
+    `;
+}
+
+function renderPolicyItem(id, policy) {
+    const actions = Object.entries(policy.actions || {});
+    const areas = [...(policy.relatedAreas || []), ...(policy.applicableAreas || [])];
+    const details = Object.fromEntries(
+        Object.entries(policy).filter(([key]) => !POLICY_MAIN_FIELDS.includes(key))
+    );
+
+    return `
+        <details class="policy-item" data-policy="${escapeHtml(id)}">
+            <summary><strong>${escapeHtml(id)}</strong> ${escapeHtml(policy.title || '')}</summary>
+            ${policy.text ? `<p>${escapeHtml(policy.text)}</p>` : ''}
+            ${actions.length > 0 ? `
+                <h5>Actions</h5>
+                <ul class="policy-actions">
+                    ${actions.map(([actionId, text]) => `<li><strong>${escapeHtml(actionId)}</strong> ${escapeHtml(text)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${renderPolicyDetails(details)}
+            ${areas.length > 0 ? `<div class="policy-areas">${areas.map(renderAreaChip).join('')}</div>` : ''}
+        </details>
+    `;
+}
+
+// Guidelines, projections and requirements nest to varying depths, so render them generically
+function renderPolicyDetails(details, areaLists = false) {
+    return Object.entries(details).map(([key, value]) => {
+        const label = escapeHtml(humanizePolicyKey(key));
+
+        if (Array.isArray(value)) {
+            if (areaLists && value.every(item => typeof item === 'string')) {
+                return `
+                    <p class="policy-detail"><strong>${label}:</strong></p>
+                    <div class="policy-areas">${value.map(renderAreaChip).join('')}</div>
+                `;
+            }
+            return `
+                <p class="policy-detail"><strong>${label}:</strong></p>
+                <ul>${value.map(item => `<li>${renderPolicyListItem(item)}</li>`).join('')}</ul>
+            `;
+        }
+
+        if (value && typeof value === 'object') {
+            const { name, ...rest } = value;
+            return `
+                <details class="policy-item">
+                    <summary>${escapeHtml(typeof name === 'string' ? name : humanizePolicyKey(key))}</summary>
+                    ${renderPolicyDetails(rest, areaLists)}
+                </details>
+            `;
+        }
+
+        return `<p class="policy-detail"><strong>${label}:</strong> ${escapeHtml(String(value))}</p>`;
+    }).join('');
+}
+
+function renderPolicyListItem(item) {
+    if (item && typeof item === 'object') {
+        return `<strong>${escapeHtml(item.name || '')}</strong>${item.description ? ` — ${escapeHtml(item.description)}` : ''}`;
+    }
+    return escapeHtml(String(item));
+}
+
+// Designation codes and known area tags become buttons; anything else stays plain text
+function renderAreaChip(area) {
+    const target = window.ocpDataHandler.resolveRelatedArea(area);
+    const designation = window.ocpDataHandler.getLandUseInfo(area);
+    const label = escapeHtml(designation ? area : humanizePolicyKey(area));
+
+    if (!target) {
+        return `<span class="policy-area-chip">${label}</span>`;
+    }
+
+    const title = designation
+        ? designation.name
+        : target.type === 'designations' ? `Designations ${target.codes.join(', ')}` : 'Show on map';
+
+    return `
+        <button type="button" class="policy-area-chip" data-related-area="${escapeHtml(area)}"
+                title="${escapeHtml(title)}" aria-pressed="false">${label}</button>
+    `;
+}
+
+// "sapperton_green" and "regionalCityCentre" become "Sapperton green" and "Regional city centre"
+function humanizePolicyKey(key) {
+    if (/\s/.test(key)) return key;
+
+    const words = key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+async function showRelatedArea(area) {
+    const target = window.ocpDataHandler.resolveRelatedArea(area);
+    if (!target) return;
+
+    activeRelatedArea = area;
+    updateAreaChips();
+
+    switch (target.type) {
+        case 'designations': {
+            const found = window.mapFunctions.highlightDesignations(target.codes);
+            setPolicyHighlightStatus(found
+                ? `Highlighting ${target.codes.join(', ')} on the map.`
+                : `No ${target.codes.join(', ')} areas are mapped.`);
+            break;
+        }
+        case 'transit': {
+            window.mapFunctions.clearDesignationHighlight();
+            if (window.layerManager) {
+                window.layerManager.setLayerVisibility('transit', true);
+            }
+            const stations = window.ocpDataHandler.data.transitStations?.stations || [];
+            if (stations.length > 0) {
+                window.map.fitBounds(stations.map(station => [station.lat, station.lng]), { padding: [60, 60] });
+            }
+            setPolicyHighlightStatus('Showing SkyTrain stations and Frequent Transit Development Areas.');
+            break;
+        }
+        case 'place': {
+            window.mapFunctions.clearDesignationHighlight();
+            try {
+                const { candidates } = await window.mapFunctions.geocodeLocation(target.query, 1);
+                if (!candidates || candidates.length === 0) {
+                    throw new Error(`No match for ${target.query}`);
+                }
+                window.mapFunctions.goToLocation(candidates[0].lat, candidates[0].lng, 15);
+                setPolicyHighlightStatus(`Showing ${candidates[0].label}.`);
+            } catch (error) {
+                console.warn('Could not locate related area:', error);
+                setPolicyHighlightStatus(`Could not locate ${target.query} on the map.`);
+            }
+            break;
+        }
+    }
+}
+
+function clearRelatedArea() {
+    activeRelatedArea = null;
+    window.mapFunctions.clearDesignationHighlight();
+    setPolicyHighlightStatus(null);
+    updateAreaChips();
+}
+
+function setPolicyHighlightStatus(message) {
+    const status = document.querySelector('#policy-browser .policy-highlight-status');
+    if (!status) return;
+
+    status.hidden = !message;
+    status.querySelector('span').textContent = message || '';
+}
+
+function updateAreaChips() {
+    document.querySelectorAll('#policy-browser [data-related-area]').forEach(chip => {
+        const active = chip.dataset.relatedArea === activeRelatedArea;
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+// Expand a policy and everything around it, then bring it into view
+function showPolicy(policyId) {
+    const item = Array.from(document.querySelectorAll('#policy-browser [data-policy]'))
+        .find(element => element.dataset.policy === policyId);
+    if (!item) return false;
+
+    for (let element = item; element; element = element.parentElement?.closest('details')) {
+        element.open = true;
+    }
+
+    item.classList.add('policy-flash');
+    setTimeout(() => item.classList.remove('policy-flash'), 2000);
+    item.scrollIntoView({ block: 'start', behavior: 'smooth' });
+
+    return true;
+}
+
+// Export for use in other scripts
+window.policyBrowser = {
+    render: renderPolicyBrowser,
+    showPolicy,
+    showRelatedArea,
+    clearRelatedArea
+};
@@ -0,0 +1,316 @@
+// Search Panel for OCP Explorer
+// Sidebar UI for OCPSearchEngine: type-ahead suggestions, results and map highlighting
+
+const SUGGESTION_DELAY_MS = 150;
+
+let suggestionTimer = null;
+let activeSuggestionIndex = -1;
+let lastSearchResult = null;
+let lastSearchQuery = '';
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSearchPanel();
+});
+
+function initializeSearchPanel() {
+    const form = document.getElementById('ocp-search-form');
+    const input = document.getElementById('ocp-search-input');
+    if (!form || !input) return;
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        hideSuggestions();
+        runSearch(input.value);
+    });
+
+    input.addEventListener('input', function() {
+        clearTimeout(suggestionTimer);
+        suggestionTimer = setTimeout(() => renderSuggestions(input.value), SUGGESTION_DELAY_MS);
+    });
+
+    input.addEventListener('keydown', handleSuggestionKeys);
+    input.addEventListener('blur', function() {
+        // Let a click on a suggestion land before the list disappears
+        setTimeout(hideSuggestions, 150);
+    });
+
+    const resultsContainer = document.getElementById('ocp-search-results');
+    resultsContainer.addEventListener('click', function(e) {
+        const exportButton = e.target.closest('[data-export-format]');
+        if (exportButton) {
+            exportSearchResults(exportButton.dataset.exportFormat);
+            return;
+        }
+
+        const item = e.target.closest('[data-result-index]');
+        if (item) {
+            selectSearchResult(parseInt(item.dataset.resultIndex, 10));
+        }
+    });
+    resultsContainer.addEventListener('keydown', function(e) {
+        const item = e.target.closest('[data-result-index]');
+        if (item && e.key === 'Enter') {
+            selectSearchResult(parseInt(item.dataset.resultIndex, 10));
+        }
+    });
+}
+
+// Type-ahead suggestions from OCPSearchEngine.getSuggestions
+function renderSuggestions(partialQuery) {
+    const list = document.getElementById('ocp-search-suggestions');
+    if (!list || !window.ocpSearchEngine) return;
+
+    const suggestions = window.ocpSearchEngine.getSuggestions(partialQuery.trim());
+    activeSuggestionIndex = -1;
+
+    if (suggestions.length === 0) {
+        hideSuggestions();
+        return;
+    }
+
+    list.innerHTML = suggestions.map((suggestion, index) => `
+        <li role="option" id="ocp-suggestion-${index}" data-suggestion="${escapeHtml(suggestion)}">${escapeHtml(suggestion)}</li>
+    `).join('');
+    list.hidden = false;
+
+    list.querySelectorAll('[data-suggestion]').forEach(item => {
+        item.addEventListener('mousedown', function(e) {
+            e.preventDefault();
+            applySuggestion(this.dataset.suggestion);
+        });
+    });
+}
+
+function handleSuggestionKeys(e) {
+    const list = document.getElementById('ocp-search-suggestions');
+    if (!list || list.hidden) return;
+
+    const items = list.querySelectorAll('[data-suggestion]');
+
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            setActiveSuggestion(Math.min(activeSuggestionIndex + 1, items.length - 1), items);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            setActiveSuggestion(Math.max(activeSuggestionIndex - 1, 0), items);
+            break;
+        case 'Enter':
+            if (activeSuggestionIndex >= 0) {
+                e.preventDefault();
+                applySuggestion(items[activeSuggestionIndex].dataset.suggestion);
+            }
+            break;
+        case 'Escape':
+            hideSuggestions();
+            break;
+    }
+}
+
+function setActiveSuggestion(index, items) {
+    activeSuggestionIndex = index;
+    items.forEach((item, i) => item.classList.toggle('active', i === index));
+    document.getElementById('ocp-search-input')
+        .setAttribute('aria-activedescendant', index >= 0 ? `ocp-suggestion-${index}` : '');
+}
+
+function applySuggestion(suggestion) {
+    const input = document.getElementById('ocp-search-input');
+    input.value = suggestion;
+    hideSuggestions();
+    return runSearch(suggestion);
+}
+
+function hideSuggestions() {
+    const list = document.getElementById('ocp-search-suggestions');
+    if (list) {
+        list.hidden = true;
+        list.innerHTML = '';
+    }
+    activeSuggestionIndex = -1;
+}
+
+// Run a search through window.searchOCP and show the results
+async function runSearch(query) {
+    const resultsContainer = document.getElementById('ocp-search-results');
+    if (!resultsContainer || !query || !query.trim()) return;
+
+    const mode = document.getElementById('ocp-search-mode')?.value || 'auto';
+    const useLocation = document.getElementById('ocp-search-use-location')?.checked;
+    const location = useLocation ? window.mapFunctions?.getSelectedLocation() : null;
+
+    resultsContainer.innerHTML = '<div class="search-status"><div class="loading-spinner"></div><p>Searching...</p></div>';
+
+    try {
+        const searchResult = await window.searchOCP(query, { useAI: mode, location });
+        lastSearchResult = searchResult;
+        lastSearchQuery = query.trim();
+        renderSearchResults(searchResult);
+
+        window.dispatchEvent(new CustomEvent('ocpSearchPerformed', {
+            detail: { query: lastSearchQuery }
+        }));
+    } catch (error) {
+        console.error('Search panel error:', error);
+        resultsContainer.innerHTML = `<p class="search-error">Search failed: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderSearchResults(searchResult) {
+    const resultsContainer = document.getElementById('ocp-search-results');
+
+    if (searchResult.error && searchResult.results.length === 0) {
+        resultsContainer.innerHTML = `
+            <p class="search-error">${escapeHtml(searchResult.error)}</p>
+            ${searchResult.suggestion ? `<p class="search-hint">${escapeHtml(searchResult.suggestion)}</p>` : ''}
+        `;
+        return;
+    }
+
+    const methodLabel = searchResult.method === 'ai' ? 'AI assistant' : 'Local search';
+    const fallbackBadge = searchResult.fallback ? `
+        <span class="search-badge fallback" title="${escapeHtml(searchResult.aiError || '')}">AI unavailable · local results</span>
+    ` : '';
+
+    const citations = searchResult.citations && searchResult.citations.length > 0 ? `
+        <div class="search-citations">
+            <strong>Citations:</strong>
+            ${searchResult.citations.map(citation => `<span class="search-citation">${escapeHtml(citation)}</span>`).join('')}
+        </div>
+    ` : '';
+
+    const items = searchResult.results.map(renderResultItem).join('');
+    const exportButtons = items && window.ocpExport ? window.ocpExport.buildButtonsHtml('Export results') : '';
+
+    resultsContainer.innerHTML = `
+        <div class="search-summary">
+            <span>${searchResult.results.length} result${searchResult.results.length === 1 ? '' : 's'}</span>
+            <span class="search-badge ${searchResult.method}">${methodLabel}</span>
+            ${fallbackBadge}
+        </div>
+        ${citations}
+        ${items ? `<ul class="search-result-list">${items}</ul>` : '<p class="placeholder-text">No matches found. Try a designation, zone or policy topic.</p>'}
+        ${exportButtons}
+    `;
+}
+
+function renderResultItem(result, index) {
+    const codes = getResultDesignationCodes(result);
+    const description = result.description || '';
+    const shortDescription = description.length > 180 ? `${description.slice(0, 180)}…` : description;
+
+    return `
+        <li class="search-result${codes.length > 0 ? ' mappable' : ''}" data-result-index="${index}" tabindex="0">
+            <div class="search-result-header">
+                <strong>${escapeHtml(result.name || result.code || 'Result')}</strong>
+                ${result.code ? `<span class="search-result-code">${escapeHtml(result.code)}</span>` : ''}
+            </div>
+            ${result.snippet
+                ? `<p class="search-snippet">${renderSnippet(result.snippet)}</p>`
+                : shortDescription ? `<p>${escapeHtml(shortDescription)}</p>` : ''}
+            <div class="search-result-meta">
+                ${result.matchReason ? `<span class="search-match-reason">${escapeHtml(result.matchReason)}</span>` : ''}
+                ${codes.length > 0 ? `<span class="search-map-hint">Show ${codes.map(escapeHtml).join(', ')} on map</span>` : ''}
+            </div>
+        </li>
+    `;
+}
+
+// Snippet text with the matched words marked
+function renderSnippet(snippet) {
+    let html = snippet.truncatedStart ? '…' : '';
+    let offset = 0;
+    snippet.highlights.forEach(([start, end]) => {
+        html += `${escapeHtml(snippet.text.slice(offset, start))}<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        offset = end;
+    });
+    html += escapeHtml(snippet.text.slice(offset));
+    return snippet.truncatedEnd ? `${html}…` : html;
+}
+
+// Land use designation codes a result refers to
+function getResultDesignationCodes(result) {
+    const codes = new Set();
+    const dataHandler = window.ocpDataHandler;
+
+    switch (result.type) {
+        case 'landUse':
+        case 'land-use':
+        case 'ai-mentioned':
+            if (result.code) codes.add(result.code);
+            break;
+        case 'zoning':
+            if (result.landUse) codes.add(result.landUse);
+            break;
+        case 'location-specific':
+            if (result.data?.landUse?.code) codes.add(result.data.landUse.code);
+            break;
+        case 'policy':
+            [...(result.relatedAreas || []), ...(result.applicableAreas || [])].forEach(area => codes.add(area));
+            break;
+        case 'guideline':
+            (result.details?.applicableAreas || []).forEach(area => codes.add(area));
+            break;
+        case 'ai-answer':
+            (result.data?.mentionedAreas || []).forEach(code => codes.add(code));
+            break;
+    }
+
+    return Array.from(codes).filter(code => dataHandler?.getLandUseInfo(code));
+}
+
+function selectSearchResult(index) {
+    const result = lastSearchResult?.results[index];
+    if (!result) return;
+
+    document.querySelectorAll('.search-result').forEach(item => {
+        item.classList.toggle('selected', parseInt(item.dataset.resultIndex, 10) === index);
+    });
+
+    const codes = getResultDesignationCodes(result);
+    if (codes.length > 0 && window.mapFunctions) {
+        window.mapFunctions.highlightDesignations(codes);
+    }
+}
+
+// Download the current results, with designation and zone polygons for GIS tools
+function exportSearchResults(format) {
+    if (!lastSearchResult || !window.ocpExport) return;
+
+    const records = window.ocpExport.buildSearchRecords(lastSearchResult, window.ocpDataHandler);
+    const slug = lastSearchQuery.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    window.ocpExport.download(records, format, `ocp-search-${slug || 'results'}`);
+}
+
+// Empty the search box and results, e.g. when navigating back past the first search
+function clearSearchPanel() {
+    const input = document.getElementById('ocp-search-input');
+    const resultsContainer = document.getElementById('ocp-search-results');
+
+    if (input) input.value = '';
+    if (resultsContainer) resultsContainer.innerHTML = '';
+    hideSuggestions();
+
+    lastSearchResult = null;
+    lastSearchQuery = '';
+    window.mapFunctions?.clearDesignationHighlight();
+}
+
+function focusSearchPanel() {
+    const input = document.getElementById('ocp-search-input');
+    if (input) {
+        input.focus();
+        input.select();
+    }
+}
+
+// Export for use in other scripts
+window.searchPanel = {
+    runSearch,
+    search: applySuggestion,
+    focus: focusSearchPanel,
+    clear: clearSearchPanel,
+    getLastResult: () => lastSearchResult,
+    getLastQuery: () => lastSearchQuery
+};
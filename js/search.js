@@ -41,8 +41,8 @@ class OCPSearchEngine {
             return { results: [], method: 'none', error: 'Empty query' };
         }
 
-        // Check cache first
-        const cacheKey = `${cleanQuery}_${location?.lat || ''}_${location?.lng || ''}`;
+        // Check cache first; each search mode keeps its own results
+        const cacheKey = `${useAI}_${cleanQuery}_${location?.lat || ''}_${location?.lng || ''}`;
         if (this.searchCache.has(cacheKey)) {
             return this.searchCache.get(cacheKey);
         }
@@ -65,8 +65,10 @@ class OCPSearchEngine {
                 }
             }
 
-            // Cache result
-            this.cacheResult(cacheKey, searchResult);
+            // Cache result, unless AI failed and should be tried again next time
+            if (!searchResult.fallback) {
+                this.cacheResult(cacheKey, searchResult);
+            }
             
             // Add to search history
             this.addToHistory(cleanQuery, searchResult.method);
@@ -88,13 +90,40 @@ class OCPSearchEngine {
         const results = [];
         const queryLower = query.toLowerCase();
 
-        // 1. Direct keyword matching
-        const keywordResults = window.ocpDataHandler.searchByKeywords(query);
-        results.push(...keywordResults.slice(0, Math.floor(maxResults * 0.6)));
+        // 1. Height, FAR, lot coverage and lot size queries go first, since their bounds are
+        // exact where text matching would only see the numbers as words
+        const structuredResults = [];
+        const heightQuery = this.parseHeightQuery(queryLower);
+        if (heightQuery) {
+            const heightResults = window.ocpDataHandler.searchByHeight(
+                heightQuery.min, 
+                heightQuery.max
+            );
+            structuredResults.push(...heightResults.slice(0, 3));
+        }
+
+        const regulationQuery = this.parseRegulationQuery(queryLower);
+        if (regulationQuery) {
+            const regulationResults = window.ocpDataHandler.searchByRegulation(
+                regulationQuery.field,
+                regulationQuery.min,
+                regulationQuery.max
+            );
+            structuredResults.push(...regulationResults.slice(0, 3));
+        }
+        results.push(...structuredResults);
+
+        // 2. Ranked full-text matches across designations, zones and policy text.
+        // With a structured query, zones outside its bounds are left out.
+        const isStructured = Boolean(heightQuery || regulationQuery);
+        const structuredZones = new Set(structuredResults.map(result => result.code));
+        const textResults = window.ocpDataHandler.searchText(query, { limit: maxResults })
+            .filter(result => !isStructured || result.type !== 'zoning' || structuredZones.has(result.code));
+        results.push(...textResults.slice(0, Math.floor(maxResults * 0.6)));
 
-        // 2. Category-based search
+        // 3. Category-based search
         const categories = this.detectCategories(queryLower);
-        for (const category of categories) {
+        for (const { category, keyword } of categories) {
             const categoryResults = window.ocpDataHandler.searchByCategory(category);
             results.push(...categoryResults.slice(0, 2).map(item => ({
                 type: 'land-use',
@@ -103,20 +132,10 @@ class OCPSearchEngine {
                 description: item.description,
                 category: item.category,
                 data: item,
-                matchReason: `Category: ${category}`
+                matchReason: `Category: ${category} (from "${keyword}")`
             })));
         }
 
-        // 3. Height-based search
-        const heightQuery = this.parseHeightQuery(queryLower);
-        if (heightQuery) {
-            const heightResults = window.ocpDataHandler.searchByHeight(
-                heightQuery.min, 
-                heightQuery.max
-            );
-            results.push(...heightResults.slice(0, 3));
-        }
-
         // 4. Location-specific search
         if (location) {
             const locationInfo = await window.ocpDataHandler.getLocationInfo(location.lat, location.lng);
@@ -227,30 +246,19 @@ class OCPSearchEngine {
             /^(residential|commercial|mixed.?use|industrial)$/i,
             /^[A-Z]{1,5}\d*$/,  // Zone codes like R1, MU2
             /^\d+\s*(storey|floor|metre|meter)s?$/i,
+            /^(far|lot coverage|coverage|lot size) (over|under|above|below) [\d.]+%?$/i,
             /^(height|density|FAR|zoning|land.?use)$/i
         ];
 
         return simplePatterns.some(pattern => pattern.test(query.trim()));
     }
 
-    // Detect categories from query text
+    // Detect land use categories from the keyword groups in the data files.
+    // Returns [{ category, keyword }] with the query word that pointed to each category.
     detectCategories(queryLower) {
-        const categoryMap = {
-            'residential': ['residential', 'housing', 'homes', 'apartments', 'condos', 'houses'],
-            'mixed-use': ['mixed', 'mixed-use', 'mixed use', 'combined'],
-            'commercial': ['commercial', 'retail', 'business', 'shops', 'stores'],
-            'employment': ['employment', 'industrial', 'work', 'jobs', 'office'],
-            'environmental': ['park', 'green', 'environmental', 'nature']
-        };
-
-        const detectedCategories = [];
-        for (const [category, keywords] of Object.entries(categoryMap)) {
-            if (keywords.some(keyword => queryLower.includes(keyword))) {
-                detectedCategories.push(category);
-            }
-        }
-
-        return detectedCategories;
+        return window.ocpDataHandler.expandQuery(queryLower)
+            .filter(expansion => window.ocpDataHandler.searchByCategory(expansion.group).length > 0)
+            .map(expansion => ({ category: expansion.group, keyword: expansion.keyword }));
     }
 
     // Parse height-related queries
@@ -284,12 +292,53 @@ class OCPSearchEngine {
         return null;
     }
 
+    // Parse FAR, lot coverage and lot size queries like "FAR over 2", "coverage under 50%" or "lot size above 800"
+    parseRegulationQuery(queryLower) {
+        const fields = [
+            { field: 'far', regex: /\b(far|floor area ratio)\b/, scale: value => value },
+            { field: 'lotCoverage', regex: /\b(lot coverage|coverage)\b/, scale: value => value > 1 ? value / 100 : value },
+            { field: 'minLotSize', regex: /\b(lot size|lot area)\b/, scale: value => value }
+        ];
+
+        const patterns = [
+            {
+                regex: /(over|above|at least|more than) (\d+(?:\.\d+)?)/,
+                handler: (match, scale) => ({ min: scale(parseFloat(match[2])), max: null })
+            },
+            {
+                regex: /(under|below|at most|less than) (\d+(?:\.\d+)?)/,
+                handler: (match, scale) => ({ min: null, max: scale(parseFloat(match[2])) })
+            },
+            {
+                regex: /between (\d+(?:\.\d+)?) and (\d+(?:\.\d+)?)/,
+                handler: (match, scale) => ({ min: scale(parseFloat(match[1])), max: scale(parseFloat(match[2])) })
+            }
+        ];
+
+        for (const { field, regex, scale } of fields) {
+            const fieldMatch = queryLower.match(regex);
+            if (!fieldMatch) continue;
+
+            // The bound must follow the field name, e.g. "far over 2" rather than "over 2 storeys far"
+            const rest = queryLower.slice(fieldMatch.index + fieldMatch[0].length);
+            for (const pattern of patterns) {
+                const match = rest.match(pattern.regex);
+                if (match) {
+                    return { field, ...pattern.handler(match, scale) };
+                }
+            }
+        }
+
+        return null;
+    }
+
     // Clean and normalize query
     cleanQuery(query) {
         return query
             .trim()
-            .replace(/[^\w\s\-\']/g, ' ')  // Remove special chars except hyphens and apostrophes
-            .replace(/\s+/g, ' ')          // Normalize whitespace
+            .replace(/[^\w\s\-\'".%]/g, ' ') // Remove special chars except hyphens, apostrophes, quotes, decimal points and percents
+            .replace(/\.(?!\d)/g, ' ')       // Keep periods only as decimal points
+            .replace(/\s+/g, ' ')            // Normalize whitespace
             .toLowerCase();
     }
 
@@ -0,0 +1,263 @@
+// Site Comparison for OCP Explorer
+// Shift-click pins up to four sites; a side-by-side table compares their designations, zones and limits
+
+const MAX_COMPARISON_SITES = 4;
+
+// Rows of the comparison table. `value` gives the raw value used to detect differences,
+// `format` the text shown; numeric rows also flag the highest and lowest sites.
+const COMPARISON_ROWS = [
+    {
+        label: 'Boundary',
+        value: info => info.withinBoundary,
+        format: info => info.withinBoundary ? '✓ Within city' : '✗ Outside city'
+    },
+    {
+        label: 'Designation',
+        value: info => info.landUse?.code ?? null,
+        format: info => info.landUse ? `${info.landUse.name} (${info.landUse.code})` : '—'
+    },
+    {
+        label: 'Zone',
+        value: info => info.zoning?.code ?? null,
+        format: info => info.zoning ? `${info.zoning.name} (${info.zoning.code})` : '—'
+    },
+    {
+        label: 'Nearest Station',
+        numeric: true,
+        value: info => info.transit ? Math.round(info.transit.distance) : null,
+        format: info => info.transit
+            ? `${info.transit.nearestStation.name} · ${formatLength(info.transit.distance)}${info.transit.inFTDA ? ' (FTDA)' : ''}`
+            : '—'
+    },
+    {
+        label: 'Max Height',
+        numeric: true,
+        value: info => info.regulations?.height.maxMetres ?? null,
+        format: info => info.regulations?.height.text ? formatHeightRegulation(info.regulations.height) : '—'
+    },
+    {
+        label: 'Max FAR',
+        numeric: true,
+        value: info => info.regulations?.far.value ?? null,
+        format: info => info.regulations?.far.text != null ? formatRegulationMeasure(info.regulations.far) : '—'
+    },
+    {
+        label: 'Lot Coverage',
+        numeric: true,
+        value: info => info.regulations?.lotCoverage.value ?? null,
+        format: info => info.regulations?.lotCoverage.text != null ? formatRegulationMeasure(info.regulations.lotCoverage) : '—'
+    },
+    {
+        label: 'Min Lot Size',
+        numeric: true,
+        value: info => info.regulations?.minLotSize.value ?? null,
+        format: info => info.regulations?.minLotSize.text != null ? formatRegulationMeasure(info.regulations.minLotSize) : '—'
+    }
+];
+
+let comparisonSites = []; // { lat, lng, info, marker }
+let comparisonMarkerLayer = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSiteComparison();
+});
+
+function initializeSiteComparison() {
+    const panel = document.getElementById('comparison-panel');
+    if (!panel) return;
+
+    if (window.L) {
+        L.DomEvent.disableClickPropagation(panel);
+        L.DomEvent.disableScrollPropagation(panel);
+    }
+
+    panel.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-comparison-action]');
+        if (!button) return;
+
+        switch (button.dataset.comparisonAction) {
+            case 'remove':
+                removeComparisonSite(parseInt(button.dataset.siteIndex, 10));
+                break;
+            case 'focus': {
+                const site = comparisonSites[parseInt(button.dataset.siteIndex, 10)];
+                if (site) window.mapFunctions.goToLocation(site.lat, site.lng, window.map.getZoom());
+                break;
+            }
+            case 'clear':
+                clearComparisonSites();
+                break;
+        }
+    });
+}
+
+// Pin a site for comparison; returns false when the table is already full
+async function addComparisonSite(lat, lng) {
+    if (!window.ocpDataHandler?.isLoaded) return false;
+
+    if (comparisonSites.length >= MAX_COMPARISON_SITES) {
+        renderComparisonPanel(`Up to ${MAX_COMPARISON_SITES} sites can be compared. Remove one to add another.`);
+        return false;
+    }
+
+    if (!comparisonMarkerLayer) {
+        comparisonMarkerLayer = L.layerGroup().addTo(window.map);
+    }
+
+    const site = { lat, lng, info: null, marker: null };
+    comparisonSites.push(site);
+
+    site.marker = L.marker([lat, lng], { icon: createComparisonIcon(comparisonSites.length) })
+        .addTo(comparisonMarkerLayer);
+
+    try {
+        site.info = await window.ocpDataHandler.getLocationInfo(lat, lng);
+    } catch (error) {
+        console.error('Error looking up comparison site:', error);
+        const index = comparisonSites.indexOf(site);
+        if (index >= 0) {
+            removeComparisonSite(index, `Could not look up that site: ${error.message}`);
+        }
+        return false;
+    }
+
+    // The site may have been removed while its info loaded
+    if (comparisonSites.includes(site)) {
+        renderComparisonPanel();
+    }
+    return true;
+}
+
+function removeComparisonSite(index, notice = null) {
+    const [site] = comparisonSites.splice(index, 1);
+    if (!site) return;
+
+    comparisonMarkerLayer.removeLayer(site.marker);
+
+    // Keep marker numbers in step with the table columns
+    comparisonSites.forEach((remaining, i) => remaining.marker.setIcon(createComparisonIcon(i + 1)));
+    renderComparisonPanel(notice);
+}
+
+function clearComparisonSites() {
+    if (comparisonMarkerLayer) {
+        comparisonMarkerLayer.clearLayers();
+    }
+    comparisonSites = [];
+    renderComparisonPanel();
+}
+
+function createComparisonIcon(number) {
+    return L.divIcon({
+        className: 'comparison-marker',
+        html: `<span>${number}</span>`,
+        iconSize: [26, 26],
+        iconAnchor: [13, 13]
+    });
+}
+
+function renderComparisonPanel(notice = null) {
+    const panel = document.getElementById('comparison-panel');
+    if (!panel) return;
+
+    const sites = comparisonSites.filter(site => site.info);
+    // Keep the panel open for a notice even when no sites are left
+    if (comparisonSites.length === 0 && !notice) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    let hint = 'Shift-click a site on the map to compare it.';
+    if (comparisonSites.length === 1) {
+        hint = 'Shift-click another site to compare.';
+    } else if (comparisonSites.length > 1) {
+        hint = `Rows that differ are highlighted. Shift-click to add up to ${MAX_COMPARISON_SITES} sites.`;
+    }
+
+    panel.innerHTML = `
+        <div class="comparison-header">
+            <h3>Compare Sites</h3>
+            <button type="button" class="comparison-clear" data-comparison-action="clear">Clear all</button>
+        </div>
+        ${notice ? `<p class="comparison-notice">${escapeHtml(notice)}</p>` : ''}
+        ${sites.length > 0 ? renderComparisonTable(sites) : ''}
+        <p class="comparison-hint">${hint}</p>
+    `;
+    panel.hidden = false;
+}
+
+function renderComparisonTable(sites) {
+    return `
+        <div class="comparison-table-wrapper">
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th scope="col"></th>
+                        ${sites.map(site => comparisonSites.indexOf(site)).map(index => `
+                            <th scope="col">
+                                <button type="button" class="comparison-site" data-comparison-action="focus" data-site-index="${index}"
+                                        title="Show on map">Site ${index + 1}</button>
+                                <button type="button" class="comparison-remove" data-comparison-action="remove" data-site-index="${index}"
+                                        title="Remove site ${index + 1}" aria-label="Remove site ${index + 1}">×</button>
+                                <small>${comparisonSites[index].lat.toFixed(5)}, ${comparisonSites[index].lng.toFixed(5)}</small>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${COMPARISON_ROWS.map(row => renderComparisonRow(row, sites)).join('')}
+                    ${renderPolicyRow(sites)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderComparisonRow(row, sites) {
+    const values = sites.map(site => row.value(site.info));
+    const differs = sites.length > 1 && new Set(values.map(value => JSON.stringify(value))).size > 1;
+
+    // Only flag extremes when at least two sites have a number to compare
+    const numbers = row.numeric ? values.filter(value => typeof value === 'number') : [];
+    const highest = numbers.length > 1 ? Math.max(...numbers) : null;
+    const lowest = numbers.length > 1 ? Math.min(...numbers) : null;
+
+    const cells = sites.map((site, index) => {
+        const value = values[index];
+        const classes = [];
+        if (highest !== null && highest !== lowest) {
+            if (value === highest) classes.push('highest');
+            if (value === lowest) classes.push('lowest');
+        }
+        return `<td class="${classes.join(' ')}">${escapeHtml(row.format(site.info))}</td>`;
+    }).join('');
+
+    return `<tr class="${differs ? 'differs' : ''}"><th scope="row">${row.label}</th>${cells}</tr>`;
+}
+
+// Policy IDs per site, marking those that do not apply to every site
+function renderPolicyRow(sites) {
+    const policyIds = sites.map(site => (site.info.policies || []).map(policy => policy.id));
+    const shared = policyIds.reduce((common, ids) => common.filter(id => ids.includes(id)), policyIds[0] || []);
+    const differs = sites.length > 1 && policyIds.some(ids => ids.length !== shared.length);
+
+    const cells = sites.map(site => {
+        const policies = site.info.policies || [];
+        if (policies.length === 0) return '<td>—</td>';
+
+        return `<td>${policies.map(policy => `
+            <span class="comparison-policy${shared.includes(policy.id) ? '' : ' unique'}" title="${escapeHtml(policy.title)}">${escapeHtml(policy.id)}</span>
+        `).join('')}</td>`;
+    }).join('');
+
+    return `<tr class="${differs ? 'differs' : ''}"><th scope="row">Policies</th>${cells}</tr>`;
+}
+
+// Export for use in other scripts
+window.siteComparison = {
+    addSite: addComparisonSite,
+    removeSite: removeComparisonSite,
+    clear: clearComparisonSites,
+    getSites: () => comparisonSites.map(site => ({ lat: site.lat, lng: site.lng, info: site.info }))
+};
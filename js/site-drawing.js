@@ -0,0 +1,329 @@
+// Site Drawing for OCP Explorer
+// Draw a polygon or rectangle on the map and break the site down by designation, zone and policy
+
+const SITE_CLOSE_DISTANCE_PX = 10; // Clicking this close to the first corner closes the polygon
+const SITE_PANE = 'sitePane'; // Above the data layers, below markers
+const SITE_STYLE = { pane: SITE_PANE, color: '#7c3aed', weight: 2, dashArray: '6 4', fillColor: '#7c3aed', fillOpacity: 0.12 };
+
+let drawMode = null; // 'polygon' | 'rectangle' while drawing
+let drawVertices = [];
+let drawPreview = null; // Layer group for the in-progress outline
+let rectangleStart = null;
+let siteLayer = null;
+let lastSiteAnalysis = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSiteDrawing();
+});
+
+function initializeSiteDrawing() {
+    document.querySelectorAll('[data-draw-mode]').forEach(button => {
+        button.addEventListener('click', function() {
+            const mode = this.dataset.drawMode;
+            if (drawMode === mode) {
+                stopDrawing();
+            } else {
+                startDrawing(mode);
+            }
+        });
+    });
+
+    document.addEventListener('keydown', function(e) {
+        if (!drawMode || isTextEntryTarget(e.target)) return;
+
+        if (e.key === 'Escape') {
+            stopDrawing();
+        } else if (e.key === 'Backspace' && drawMode === 'polygon' && drawVertices.length > 0) {
+            e.preventDefault();
+            drawVertices.pop();
+            updatePolygonPreview();
+        } else if (e.key === 'Enter' && drawMode === 'polygon') {
+            finishPolygon();
+        }
+    });
+
+    const propertyInfo = document.getElementById('property-info');
+    if (propertyInfo) {
+        propertyInfo.addEventListener('click', function(e) {
+            const action = e.target.closest('[data-site-action]')?.dataset.siteAction;
+            if (action === 'clear') {
+                clearSite();
+            } else if (action === 'zoom' && siteLayer) {
+                window.map.fitBounds(siteLayer.getBounds(), { padding: [30, 30] });
+            }
+        });
+    }
+}
+
+function startDrawing(mode) {
+    const map = window.map;
+    if (!map || !window.ocpDataHandler?.isLoaded) return;
+
+    stopDrawing();
+    if (window.measureTools?.isMeasuring()) {
+        window.measureTools.finish();
+    }
+    if (!map.getPane(SITE_PANE)) {
+        map.createPane(SITE_PANE).style.zIndex = 590;
+    }
+
+    drawMode = mode;
+    drawVertices = [];
+    drawPreview = L.layerGroup().addTo(map);
+
+    // Let clicks through the data layers to the map while drawing
+    map.getContainer().classList.add('drawing-site');
+    captureMapDoubleClick(map, mode === 'polygon' ? finishPolygon : null);
+
+    if (mode === 'polygon') {
+        map.on('click', handlePolygonClick);
+        map.on('mousemove', handlePolygonMouseMove);
+    } else {
+        map.dragging.disable();
+        map.on('mousedown', handleRectangleStart);
+        map.on('mousemove', handleRectangleMove);
+        map.on('mouseup', handleRectangleEnd);
+    }
+
+    updateDrawButtons();
+}
+
+function stopDrawing() {
+    const map = window.map;
+    if (!map || !drawMode) return;
+
+    map.off('click', handlePolygonClick);
+    map.off('mousemove', handlePolygonMouseMove);
+    map.off('mousedown', handleRectangleStart);
+    map.off('mousemove', handleRectangleMove);
+    map.off('mouseup', handleRectangleEnd);
+
+    map.getContainer().classList.remove('drawing-site');
+    map.dragging.enable();
+    releaseMapDoubleClick(map, finishPolygon);
+
+    if (drawPreview) {
+        map.removeLayer(drawPreview);
+        drawPreview = null;
+    }
+
+    drawMode = null;
+    drawVertices = [];
+    rectangleStart = null;
+    updateDrawButtons();
+}
+
+function handlePolygonClick(e) {
+    const map = window.map;
+    const point = map.latLngToContainerPoint(e.latlng);
+
+    if (drawVertices.length >= 3) {
+        const first = map.latLngToContainerPoint(drawVertices[0]);
+        if (point.distanceTo(first) <= SITE_CLOSE_DISTANCE_PX) {
+            finishPolygon();
+            return;
+        }
+    }
+
+    if (isRepeatVertexClick(map, e.latlng, drawVertices[drawVertices.length - 1])) return;
+
+    drawVertices.push(e.latlng);
+    updatePolygonPreview();
+}
+
+function handlePolygonMouseMove(e) {
+    updatePolygonPreview(e.latlng);
+}
+
+function updatePolygonPreview(cursor = null) {
+    if (!drawPreview) return;
+    drawPreview.clearLayers();
+
+    const outline = cursor ? [...drawVertices, cursor] : drawVertices;
+    if (outline.length > 1) {
+        L.polyline(outline, { ...SITE_STYLE, fill: false }).addTo(drawPreview);
+    }
+    drawVertices.forEach((vertex, index) => {
+        L.circleMarker(vertex, {
+            pane: SITE_PANE,
+            radius: index === 0 ? 6 : 4,
+            color: SITE_STYLE.color,
+            weight: 2,
+            fillColor: 'white',
+            fillOpacity: 1
+        }).addTo(drawPreview);
+    });
+}
+
+function finishPolygon() {
+    const vertices = drawVertices.slice();
+    stopDrawing();
+
+    if (vertices.length < 3) return;
+    completeSite(vertices);
+}
+
+function handleRectangleStart(e) {
+    rectangleStart = e.latlng;
+}
+
+function handleRectangleMove(e) {
+    if (!rectangleStart || !drawPreview) return;
+
+    drawPreview.clearLayers();
+    L.rectangle(L.latLngBounds(rectangleStart, e.latlng), SITE_STYLE).addTo(drawPreview);
+}
+
+function handleRectangleEnd(e) {
+    if (!rectangleStart) return;
+
+    const bounds = L.latLngBounds(rectangleStart, e.latlng);
+    rectangleStart = null;
+    // Stay in drawing mode until the click that follows this mouseup has passed
+    setTimeout(stopDrawing, 0);
+
+    // A click without a drag is not a site
+    const map = window.map;
+    const size = map.latLngToContainerPoint(bounds.getNorthEast()).subtract(map.latLngToContainerPoint(bounds.getSouthWest()));
+    if (Math.abs(size.x) < 5 || Math.abs(size.y) < 5) return;
+
+    completeSite([bounds.getSouthWest(), bounds.getSouthEast(), bounds.getNorthEast(), bounds.getNorthWest()]);
+}
+
+// Show the finished site and its breakdown in the property panel
+async function completeSite(vertices) {
+    const map = window.map;
+
+    if (siteLayer) {
+        map.removeLayer(siteLayer);
+    }
+    siteLayer = L.polygon(vertices, SITE_STYLE).addTo(map);
+
+    const ring = vertices.map(vertex => [vertex.lng, vertex.lat]);
+    ring.push(ring[0]);
+
+    try {
+        lastSiteAnalysis = await window.ocpDataHandler.analyzeSite(ring);
+        renderSiteAnalysis(lastSiteAnalysis);
+    } catch (error) {
+        console.error('Error analyzing site:', error);
+        lastSiteAnalysis = null;
+        renderSiteError(error.message);
+    }
+
+    return lastSiteAnalysis;
+}
+
+function renderSiteAnalysis(analysis) {
+    const propertyInfo = document.getElementById('property-info');
+    if (!propertyInfo) return;
+
+    const percent = share => `${Math.round(share * 1000) / 10}%`;
+    const outsideShare = 1 - analysis.withinBoundaryShare;
+
+    const breakdownList = (entries, codeLabel) => entries.length > 0 ? `
+        <ul class="site-breakdown">
+            ${entries.map(entry => `
+                <li>
+                    <span class="site-breakdown-bar" style="width: ${Math.max(2, entry.share * 100)}%"></span>
+                    <span class="site-breakdown-label">${entry.code ? `<strong>${escapeHtml(entry.code)}</strong> ${escapeHtml(entry.name)}` : `<em>No ${codeLabel} mapped</em>`}</span>
+                    <span class="site-breakdown-value">${percent(entry.share)} · ${Math.round(entry.area).toLocaleString()} m²</span>
+                </li>
+            `).join('')}
+        </ul>
+    ` : '<p class="placeholder-text">None within the city.</p>';
+
+    // The capacity calculator starts from the zone covering most of the site
+    const dominantZone = analysis.zoning.find(entry => entry.code);
+
+    propertyInfo.innerHTML = `
+        <div class="property-details site-analysis">
+            <h3>📐 Site Analysis</h3>
+            <p><strong>Site Area:</strong> ${formatArea(analysis.area)}${analysis.area >= 10000 ? ` (${Math.round(analysis.area).toLocaleString()} m²)` : ''}</p>
+            <p><strong>Perimeter:</strong> ${formatLength(analysis.perimeter)}</p>
+            ${outsideShare > 0.005 ? `
+                <p class="regulation-warning">⚠️ ${percent(outsideShare)} of the site is outside New Westminster city limits.</p>
+            ` : ''}
+
+            <div class="info-section">
+                <h4>Land Use Designations</h4>
+                ${breakdownList(analysis.landUse, 'designation')}
+            </div>
+
+            <div class="info-section">
+                <h4>Zoning Districts</h4>
+                ${breakdownList(analysis.zoning, 'zone')}
+                ${dominantZone && window.capacityCalculator ? window.capacityCalculator.buildHtml(dominantZone.code) : ''}
+            </div>
+
+            ${analysis.specialAreas.length > 0 ? `
+                <div class="info-section">
+                    <h4>Special Areas</h4>
+                    ${analysis.specialAreas.map(area => `<p>${escapeHtml(area.name)}</p>`).join('')}
+                </div>
+            ` : ''}
+
+            <div class="info-section">
+                <h4>Applicable Policies</h4>
+                ${analysis.policies.length > 0
+                    ? analysis.policies.map(policy => `<p><strong>${escapeHtml(policy.id)}:</strong> ${escapeHtml(policy.title)}</p>`).join('')
+                    : '<p class="placeholder-text">No policies matched this site.</p>'}
+            </div>
+
+            <div class="action-buttons site-actions">
+                <button type="button" data-site-action="zoom">🔍 Zoom to Site</button>
+                <button type="button" data-site-action="clear">✕ Clear Site</button>
+            </div>
+            <p class="regulation-note">Shares are estimated from ${analysis.sampleCount.toLocaleString()} sample points across the site.</p>
+        </div>
+    `;
+
+    if (dominantZone && window.capacityCalculator) {
+        window.capacityCalculator.setLotArea(analysis.area);
+    }
+}
+
+function renderSiteError(message) {
+    const propertyInfo = document.getElementById('property-info');
+    if (!propertyInfo) return;
+
+    propertyInfo.innerHTML = `
+        <div class="property-details">
+            <h3>⚠️ Site Analysis</h3>
+            <p>${escapeHtml(message)}</p>
+        </div>
+    `;
+}
+
+function clearSite() {
+    if (siteLayer) {
+        window.map.removeLayer(siteLayer);
+        siteLayer = null;
+    }
+
+    if (lastSiteAnalysis) {
+        lastSiteAnalysis = null;
+        const propertyInfo = document.getElementById('property-info');
+        if (propertyInfo?.querySelector('.site-analysis')) {
+            propertyInfo.innerHTML = '<p class="placeholder-text">Click on the map to view property details</p>';
+        }
+    }
+}
+
+function updateDrawButtons() {
+    document.querySelectorAll('[data-draw-mode]').forEach(button => {
+        const active = button.dataset.drawMode === drawMode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+// Export for use in other scripts
+window.siteDrawing = {
+    start: startDrawing,
+    cancel: stopDrawing,
+    clear: clearSite,
+    analyze: completeSite,
+    isDrawing: () => drawMode !== null,
+    getLastAnalysis: () => lastSiteAnalysis
+};
@@ -0,0 +1,135 @@
+// Spatial Index for OCP Explorer
+// Static R-tree (Sort-Tile-Recursive bulk load) over feature bounding boxes
+
+class SpatialIndex {
+    constructor(maxEntries = 16) {
+        this.maxEntries = Math.max(4, maxEntries);
+        this.root = null;
+        this.size = 0;
+    }
+
+    // Compute the [minX, minY, maxX, maxY] bounding box of a GeoJSON geometry
+    static getBounds(geometry) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        const visit = coordinates => {
+            if (typeof coordinates[0] === 'number') {
+                bounds.minX = Math.min(bounds.minX, coordinates[0]);
+                bounds.minY = Math.min(bounds.minY, coordinates[1]);
+                bounds.maxX = Math.max(bounds.maxX, coordinates[0]);
+                bounds.maxY = Math.max(bounds.maxY, coordinates[1]);
+                return;
+            }
+            coordinates.forEach(visit);
+        };
+
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(child => {
+                const childBounds = SpatialIndex.getBounds(child);
+                bounds.minX = Math.min(bounds.minX, childBounds.minX);
+                bounds.minY = Math.min(bounds.minY, childBounds.minY);
+                bounds.maxX = Math.max(bounds.maxX, childBounds.maxX);
+                bounds.maxY = Math.max(bounds.maxY, childBounds.maxY);
+            });
+        } else if (geometry.coordinates) {
+            visit(geometry.coordinates);
+        }
+
+        return bounds;
+    }
+
+    // Bulk load items, each carrying minX/minY/maxX/maxY, replacing any previous contents
+    load(items) {
+        this.size = items.length;
+
+        if (items.length === 0) {
+            this.root = null;
+            return this;
+        }
+
+        let nodes = items.map(item => ({
+            minX: item.minX,
+            minY: item.minY,
+            maxX: item.maxX,
+            maxY: item.maxY,
+            item: item
+        }));
+
+        // Pack each level into parents until a single root node remains
+        while (nodes.length > this.maxEntries) {
+            nodes = this.packLevel(nodes);
+        }
+
+        this.root = this.createParent(nodes);
+        return this;
+    }
+
+    // Group one level of nodes into parent nodes using Sort-Tile-Recursive ordering
+    packLevel(nodes) {
+        const parentCount = Math.ceil(nodes.length / this.maxEntries);
+        const sliceCount = Math.ceil(Math.sqrt(parentCount));
+        const sliceSize = sliceCount * this.maxEntries;
+        const parents = [];
+
+        const byX = nodes.slice().sort((a, b) => (a.minX + a.maxX) - (b.minX + b.maxX));
+
+        for (let i = 0; i < byX.length; i += sliceSize) {
+            const slice = byX.slice(i, i + sliceSize)
+                .sort((a, b) => (a.minY + a.maxY) - (b.minY + b.maxY));
+
+            for (let j = 0; j < slice.length; j += this.maxEntries) {
+                parents.push(this.createParent(slice.slice(j, j + this.maxEntries)));
+            }
+        }
+
+        return parents;
+    }
+
+    createParent(children) {
+        const parent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, children };
+
+        for (const child of children) {
+            parent.minX = Math.min(parent.minX, child.minX);
+            parent.minY = Math.min(parent.minY, child.minY);
+            parent.maxX = Math.max(parent.maxX, child.maxX);
+            parent.maxY = Math.max(parent.maxY, child.maxY);
+        }
+
+        return parent;
+    }
+
+    // Return all items whose bounding box intersects the given box
+    search(minX, minY, maxX, maxY) {
+        const results = [];
+        if (!this.root) return results;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            for (const child of node.children) {
+                if (child.minX > maxX || child.maxX < minX || child.minY > maxY || child.maxY < minY) {
+                    continue;
+                }
+
+                if (child.children) {
+                    stack.push(child);
+                } else {
+                    results.push(child.item);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // Return all items whose bounding box contains the point
+    searchPoint(x, y) {
+        return this.search(x, y, x, y);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialIndex;
+}
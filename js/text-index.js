@@ -0,0 +1,337 @@
+// Text Index for OCP Explorer
+// Inverted index with stemming, BM25 ranking, phrase matching and highlighted snippets
+
+class TextIndex {
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.fieldWeights = options.fieldWeights || {};
+        this.stopWords = new Set(options.stopWords || TextIndex.STOP_WORDS);
+        this.documents = new Map(); // Document id -> { id, data, fields, length }
+        this.postings = new Map(); // Stem -> Map of document id -> { field -> [token positions] }
+        this.totalLength = 0;
+    }
+
+    // Split text into lowercase word tokens, keeping each token's character range for snippets.
+    // Hyphenated words and codes split into parts ("mixed-use" -> mixed, use; "RM-2" -> rm, 2).
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /[a-z0-9]+(?:['’][a-z]+)?/gi;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            tokens.push({
+                word: match[0].toLowerCase().replace(/['’]s$/, '').replace(/['’]/g, ''),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    }
+
+    // Light suffix stripping so plurals and verb forms meet at one stem:
+    // offices/office -> offic, housing/houses -> hous, storeys -> storey, planning -> plan
+    static stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (stem.endsWith('ies') && stem.length > 4) {
+            stem = `${stem.slice(0, -3)}y`;
+        } else if (stem.endsWith('sses')) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        for (const suffix of ['ing', 'ed']) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3 && /[aeiouy]/.test(stem.slice(0, -suffix.length))) {
+                stem = stem.slice(0, -suffix.length);
+                // planning -> plann -> plan
+                if (/([^aeiouylsz])\1$/.test(stem)) {
+                    stem = stem.slice(0, -1);
+                }
+                break;
+            }
+        }
+
+        if (stem.endsWith('e') && stem.length > 4) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+
+    // Stemmed terms of a piece of text, with stop words left out but positions kept,
+    // so a phrase still only matches words that are next to each other
+    analyze(text) {
+        return TextIndex.tokenize(text)
+            .map((token, position) => ({ ...token, position, term: TextIndex.stem(token.word) }))
+            .filter(token => !this.stopWords.has(token.word));
+    }
+
+    // Add a document: `fields` maps field names to text, `data` is returned with each hit
+    add(id, fields, data = null) {
+        if (this.documents.has(id)) {
+            this.remove(id);
+        }
+
+        let length = 0;
+        Object.entries(fields).forEach(([field, text]) => {
+            this.analyze(text).forEach(token => {
+                if (!this.postings.has(token.term)) {
+                    this.postings.set(token.term, new Map());
+                }
+                const documentPostings = this.postings.get(token.term);
+                if (!documentPostings.has(id)) {
+                    documentPostings.set(id, {});
+                }
+                const fieldPositions = documentPostings.get(id);
+                (fieldPositions[field] = fieldPositions[field] || []).push(token.position);
+                length += this.getFieldWeight(field);
+            });
+        });
+
+        this.documents.set(id, { id, data, fields, length });
+        this.totalLength += length;
+        return this;
+    }
+
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return false;
+
+        this.postings.forEach((documentPostings, term) => {
+            documentPostings.delete(id);
+            if (documentPostings.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.totalLength -= document.length;
+        this.documents.delete(id);
+        return true;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    getFieldWeight(field) {
+        return this.fieldWeights[field] ?? 1;
+    }
+
+    // Split a query into loose terms and "quoted phrases"
+    parseQuery(query) {
+        const phrases = [];
+        const loose = (query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+            const terms = this.analyze(phrase);
+            if (terms.length > 0) phrases.push(terms);
+            return ' ';
+        });
+
+        const terms = this.analyze(loose);
+        return { terms, phrases };
+    }
+
+    // Rank documents with BM25 over field-weighted term frequencies.
+    // Every quoted phrase must appear; an unquoted multi-word query that appears
+    // as written gets a boost. `expansions` are groups of extra words (e.g. synonyms);
+    // each group adds its best-scoring word at `expansionWeight`, so a long synonym list
+    // cannot outweigh the query itself. `filter(document)` can limit the candidates.
+    search(query, options = {}) {
+        const {
+            limit = 20,
+            filter = null,
+            phraseBoost = TextIndex.PHRASE_BOOST,
+            expansions = [],
+            expansionWeight = TextIndex.EXPANSION_WEIGHT
+        } = options;
+        const { terms, phrases } = this.parseQuery(query);
+
+        const queryTerms = new Set([...terms, ...phrases.flat()].map(token => token.term));
+        const expansionGroups = expansions
+            .map(group => Array.from(new Set(
+                [].concat(group).flatMap(text => this.analyze(text)).map(token => token.term)
+            )).filter(term => !queryTerms.has(term)))
+            .filter(group => group.length > 0);
+
+        if (queryTerms.size === 0 || this.documents.size === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / this.documents.size || 1;
+        const scores = new Map();
+        const entryFor = id => {
+            if (!scores.has(id)) scores.set(id, { score: 0, matchedTerms: new Set() });
+            return scores.get(id);
+        };
+
+        // BM25 score of each document containing a term
+        const scoreTerm = term => {
+            const termScores = new Map();
+            const documentPostings = this.postings.get(term);
+            if (!documentPostings) return termScores;
+
+            const idf = Math.log(1 + (this.documents.size - documentPostings.size + 0.5) / (documentPostings.size + 0.5));
+            documentPostings.forEach((fieldPositions, id) => {
+                const document = this.documents.get(id);
+                const frequency = Object.entries(fieldPositions)
+                    .reduce((sum, [field, positions]) => sum + positions.length * this.getFieldWeight(field), 0);
+                termScores.set(id, idf * frequency * (this.k1 + 1) /
+                    (frequency + this.k1 * (1 - this.b + this.b * document.length / averageLength)));
+            });
+            return termScores;
+        };
+
+        queryTerms.forEach(term => {
+            scoreTerm(term).forEach((score, id) => {
+                const entry = entryFor(id);
+                entry.score += score;
+                entry.matchedTerms.add(term);
+            });
+        });
+
+        expansionGroups.forEach(group => {
+            const best = new Map();
+            group.forEach(term => {
+                scoreTerm(term).forEach((score, id) => {
+                    best.set(id, Math.max(best.get(id) || 0, score));
+                    entryFor(id).matchedTerms.add(term);
+                });
+            });
+            best.forEach((score, id) => {
+                entryFor(id).score += score * expansionWeight;
+            });
+        });
+
+        const wholeQuery = phrases.length === 0 && terms.length > 1 ? terms : null;
+
+        const results = [];
+        scores.forEach((entry, id) => {
+            const document = this.documents.get(id);
+            if (filter && !filter(document)) return;
+            if (!phrases.every(phrase => this.findPhrase(id, phrase))) return;
+
+            let score = entry.score;
+            let phraseMatch = phrases.length > 0;
+            if (wholeQuery && this.findPhrase(id, wholeQuery)) {
+                score *= phraseBoost;
+                phraseMatch = true;
+            }
+
+            results.push({
+                id,
+                score,
+                data: document.data,
+                matchedTerms: Array.from(entry.matchedTerms),
+                phraseMatch
+            });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)))
+            .slice(0, limit);
+    }
+
+    // Field where a phrase occurs in a document, or null. Phrase tokens keep their
+    // original offsets, so stop words inside the phrase still have to fit between the terms.
+    findPhrase(id, phrase) {
+        const [first, ...rest] = phrase;
+        const firstPostings = this.postings.get(first.term)?.get(id);
+        if (!firstPostings) return null;
+
+        for (const [field, positions] of Object.entries(firstPostings)) {
+            const matches = positions.some(start => rest.every(token => {
+                const positionsInField = this.postings.get(token.term)?.get(id)?.[field];
+                return positionsInField?.includes(start + token.position - first.position);
+            }));
+            if (matches) return field;
+        }
+        return null;
+    }
+
+    // The passage of a field with the most matched terms, with character ranges to highlight.
+    // Passages with more of `preferredTerms` (e.g. the words actually typed) win over the rest.
+    // Returns { text, highlights: [[start, end], ...], truncatedStart, truncatedEnd } or null.
+    getSnippet(id, matchedTerms, options = {}) {
+        const { fields = null, maxLength = TextIndex.SNIPPET_LENGTH, preferredTerms = [] } = options;
+        const preferred = new Set(preferredTerms);
+        const document = this.documents.get(id);
+        if (!document) return null;
+
+        const wanted = new Set(matchedTerms);
+        let best = null;
+
+        (fields || Object.keys(document.fields)).forEach(field => {
+            const text = document.fields[field];
+            if (!text) return;
+
+            const hits = this.analyze(text).filter(token => wanted.has(token.term));
+            if (hits.length === 0) return;
+
+            // Slide a window over the hits and keep the one covering the most distinct terms
+            hits.forEach((hit, i) => {
+                const inWindow = hits.slice(i).filter(other => other.end - hit.start <= maxLength);
+                const terms = new Set(inWindow.map(other => other.term));
+                const rank = [
+                    Array.from(terms).filter(term => preferred.has(term)).length,
+                    terms.size,
+                    inWindow.length
+                ];
+                // Compare preferred terms first, then distinct terms, then total hits
+                const differs = best ? rank.findIndex((value, k) => value !== best.rank[k]) : -1;
+                if (!best || (differs >= 0 && rank[differs] > best.rank[differs])) {
+                    best = { field, text, rank, hits: inWindow };
+                }
+            });
+        });
+
+        if (!best) return null;
+
+        // Centre the window on the hits, then widen it to word boundaries
+        const hitStart = best.hits[0].start;
+        const hitEnd = best.hits[best.hits.length - 1].end;
+        let start = Math.max(0, Math.floor(hitStart - (maxLength - (hitEnd - hitStart)) / 2));
+        let end = Math.min(best.text.length, start + maxLength);
+        start = Math.max(0, Math.min(start, end - maxLength));
+        if (start > 0) {
+            const space = best.text.lastIndexOf(' ', start);
+            start = space >= 0 && space < hitStart ? space + 1 : start;
+        }
+        if (end < best.text.length) {
+            const space = best.text.indexOf(' ', end);
+            end = space >= 0 ? space : best.text.length;
+        }
+
+        return {
+            field: best.field,
+            text: best.text.slice(start, end),
+            highlights: best.hits
+                .filter(hit => hit.start >= start && hit.end <= end)
+                .map(hit => [hit.start - start, hit.end - start]),
+            truncatedStart: start > 0,
+            truncatedEnd: end < best.text.length
+        };
+    }
+}
+
+// Common English words that carry no meaning in a search. "far" is left out on purpose:
+// it is the floor area ratio.
+TextIndex.STOP_WORDS = [
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'near', 'of', 'on', 'or', 'our', 'so',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you'
+];
+
+// Score multiplier when a multi-word query appears as written
+TextIndex.PHRASE_BOOST = 1.5;
+
+// Share of a query word's score that an expansion term earns
+TextIndex.EXPANSION_WEIGHT = 0.5;
+
+// Target length of a snippet in characters
+TextIndex.SNIPPET_LENGTH = 160;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextIndex;
+}
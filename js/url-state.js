@@ -0,0 +1,170 @@
+// URL State for OCP Explorer
+// Mirrors the map view, selected point, layers and search query in the query string
+// so a link reproduces what the sender was looking at
+
+const URL_STATE_PARAMS = {
+    view: 'view',       // "lat,lng,zoom"
+    selection: 'sel',   // "lat,lng"
+    layers: 'layers',   // Layer manager format, e.g. "boundary,landUse@60,-zoning"
+    query: 'q'          // Sidebar OCP search
+};
+
+const URL_REPLACE_DELAY_MS = 300; // Panning and opacity drags settle before the URL is rewritten
+
+let restoringUrlState = false;
+let urlReplaceTimer = null;
+let initialUrlState = readUrlState();
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeUrlState();
+});
+
+function initializeUrlState() {
+    // Selections and searches need the OCP data, so restore once it has loaded
+    if (window.ocpDataHandler?.isLoaded) {
+        restoreUrlState(initialUrlState);
+    } else {
+        window.addEventListener('ocpDataLoaded', () => restoreUrlState(initialUrlState), { once: true });
+    }
+
+    // Selections and searches get their own history entries; panning and layer tweaks amend the current one
+    window.addEventListener('ocpSelectionChanged', () => writeUrlState('push'));
+    window.addEventListener('ocpSearchPerformed', () => writeUrlState('push'));
+    window.addEventListener('ocpLayersChanged', scheduleUrlReplace);
+
+    if (window.map) {
+        window.map.on('moveend', scheduleUrlReplace);
+    }
+
+    window.addEventListener('popstate', function() {
+        restoreUrlState(readUrlState());
+    });
+}
+
+// Amend the current history entry once a burst of changes has stopped, keeping well
+// under the browser's limit on history calls
+function scheduleUrlReplace() {
+    clearTimeout(urlReplaceTimer);
+    urlReplaceTimer = setTimeout(() => writeUrlState('replace'), URL_REPLACE_DELAY_MS);
+}
+
+// Parse the state encoded in a query string, ignoring malformed values
+function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+
+    const parseNumbers = (value, count) => {
+        if (!value) return null;
+        const numbers = value.split(',').map(Number);
+        return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+    };
+    const isValidLatLng = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    const view = parseNumbers(params.get(URL_STATE_PARAMS.view), 3);
+    const selection = parseNumbers(params.get(URL_STATE_PARAMS.selection), 2);
+
+    return {
+        view: view && isValidLatLng(view[0], view[1]) ? { lat: view[0], lng: view[1], zoom: view[2] } : null,
+        selection: selection && isValidLatLng(selection[0], selection[1]) ? { lat: selection[0], lng: selection[1] } : null,
+        layers: params.get(URL_STATE_PARAMS.layers),
+        query: params.get(URL_STATE_PARAMS.query)
+    };
+}
+
+// Build a URL for the current app state, keeping any unrelated parameters
+function buildStateUrl() {
+    const url = new URL(window.location.href);
+    const setParam = (name, value) => {
+        if (value) {
+            url.searchParams.set(name, value);
+        } else {
+            url.searchParams.delete(name);
+        }
+    };
+
+    if (window.map) {
+        const center = window.map.getCenter();
+        setParam(URL_STATE_PARAMS.view, `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${window.map.getZoom()}`);
+    }
+
+    const selection = window.mapFunctions?.getSelectedLocation();
+    setParam(URL_STATE_PARAMS.selection, selection ? `${selection.lat.toFixed(6)},${selection.lng.toFixed(6)}` : null);
+
+    if (window.layerManager) {
+        setParam(URL_STATE_PARAMS.layers, window.layerManager.serializeLayerState());
+    }
+
+    setParam(URL_STATE_PARAMS.query, window.searchPanel?.getLastQuery());
+
+    return url;
+}
+
+function writeUrlState(mode = 'replace') {
+    if (restoringUrlState) return;
+
+    const url = buildStateUrl();
+    if (url.href === window.location.href) return;
+
+    if (mode === 'push') {
+        window.history.pushState({ ocpExplorer: true }, '', url);
+    } else {
+        window.history.replaceState(window.history.state, '', url);
+    }
+}
+
+// Apply a parsed state without recording new history entries
+async function restoreUrlState(state) {
+    restoringUrlState = true;
+    clearTimeout(urlReplaceTimer);
+
+    try {
+        if (state.layers && window.layerManager) {
+            window.layerManager.restoreLayerState(state.layers);
+        }
+
+        if (window.map) {
+            if (state.view) {
+                window.map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+            } else if (state.selection) {
+                window.map.setView([state.selection.lat, state.selection.lng], 16, { animate: false });
+            }
+        }
+
+        const currentSelection = window.mapFunctions?.getSelectedLocation();
+        if (state.selection) {
+            const unchanged = currentSelection &&
+                currentSelection.lat === state.selection.lat && currentSelection.lng === state.selection.lng;
+            if (!unchanged) {
+                await handleMapClick({ latlng: { lat: state.selection.lat, lng: state.selection.lng } });
+            }
+        } else if (currentSelection && window.appUtils) {
+            window.appUtils.clearMapSelections();
+        }
+
+        if (window.searchPanel) {
+            const currentQuery = window.searchPanel.getLastQuery();
+            if (state.query && state.query !== currentQuery) {
+                await window.searchPanel.search(state.query);
+            } else if (!state.query && currentQuery) {
+                window.searchPanel.clear();
+            }
+        }
+    } catch (error) {
+        console.error('Error restoring state from URL:', error);
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// Whether the page was opened with a map view, so the initial fit to the city boundary should be skipped
+function hasInitialView() {
+    return Boolean(initialUrlState.view || initialUrlState.selection);
+}
+
+// Export for use in other scripts
+window.urlState = {
+    read: readUrlState,
+    buildUrl: () => buildStateUrl().href,
+    update: writeUrlState,
+    restore: restoreUrlState,
+    hasInitialView
+};
@@ -0,0 +1,490 @@
+// Netlify Function for geocoding New Westminster locations
+// Resolves civic addresses, intersections and landmarks against the local address point dataset
+
+const fs = require('fs');
+const path = require('path');
+const OCPDataHandler = require('../../js/data-handler');
+
+const allowedOrigins = [
+    'http://localhost:3000',
+    'http://localhost:8080',
+    'http://localhost:8888',
+    'https://localhost:3000',
+    process.env.URL, // Netlify site URL
+    process.env.DEPLOY_PRIME_URL, // Netlify deploy preview URL
+];
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+const MIN_CONFIDENCE = 0.4; // Weaker matches are noise, e.g. "park" alone matching every park
+
+// Spelled-out ordinals and street type abbreviations accepted in queries
+const ORDINAL_WORDS = {
+    first: '1st', second: '2nd', third: '3rd', fourth: '4th', fifth: '5th', sixth: '6th',
+    seventh: '7th', eighth: '8th', ninth: '9th', tenth: '10th', eleventh: '11th', twelfth: '12th'
+};
+
+const STREET_TYPES = {
+    st: 'street', str: 'street', street: 'street',
+    ave: 'avenue', av: 'avenue', avenue: 'avenue',
+    blvd: 'boulevard', boulevard: 'boulevard',
+    dr: 'drive', drive: 'drive',
+    rd: 'road', road: 'road'
+};
+
+// Rate limiting store (in production, use Redis or similar)
+const rateLimitStore = new Map();
+
+// Address data and boundary index, loaded on the first request and reused while the function is warm
+let geocoder = null;
+
+// Clean up old rate limit entries every hour
+setInterval(() => {
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+    for (const [key, data] of rateLimitStore.entries()) {
+        if (data.resetTime < oneHourAgo) {
+            rateLimitStore.delete(key);
+        }
+    }
+}, 60 * 60 * 1000);
+
+exports.handler = async (event, context) => {
+    // CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Allow-Methods': 'GET, OPTIONS'
+            },
+            body: ''
+        };
+    }
+
+    try {
+        // 1. SECURITY: Validate HTTP method
+        if (event.httpMethod !== 'GET') {
+            return {
+                statusCode: 405,
+                headers: getCORSHeaders(event),
+                body: JSON.stringify({ error: 'Method not allowed' })
+            };
+        }
+
+        // 2. SECURITY: Validate origin (same-origin GET requests send none)
+        const origin = event.headers.origin;
+        if (origin && !isAllowedOrigin(origin)) {
+            return {
+                statusCode: 403,
+                headers: getCORSHeaders(event),
+                body: JSON.stringify({ error: 'Forbidden origin' })
+            };
+        }
+
+        // 3. SECURITY: Rate limiting
+        const clientIP = event.headers['x-forwarded-for']?.split(',')[0] ||
+                        event.headers['x-real-ip'] ||
+                        'unknown';
+
+        const rateLimitResult = checkRateLimit(clientIP);
+        if (!rateLimitResult.allowed) {
+            return {
+                statusCode: 429,
+                headers: {
+                    ...getCORSHeaders(event),
+                    'Retry-After': Math.ceil(rateLimitResult.resetIn / 1000).toString()
+                },
+                body: JSON.stringify({
+                    error: 'Rate limit exceeded',
+                    message: `Too many requests. Try again in ${Math.ceil(rateLimitResult.resetIn / 1000)} seconds.`
+                })
+            };
+        }
+
+        // 4. SECURITY: Validate query parameters
+        const params = event.queryStringParameters || {};
+        const validationResult = validateRequest(params);
+        if (!validationResult.valid) {
+            return {
+                statusCode: 400,
+                headers: getCORSHeaders(event),
+                body: JSON.stringify({ error: validationResult.error })
+            };
+        }
+
+        const limit = Math.min(MAX_LIMIT, parseInt(params.limit, 10) || DEFAULT_LIMIT);
+        const includeOutside = params.includeOutside === 'true';
+
+        // 5. Match the query and drop (or flag) anything outside the city
+        const result = geocode(params.q, limit, includeOutside);
+
+        return {
+            statusCode: 200,
+            headers: getCORSHeaders(event),
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Function error:', error);
+
+        return {
+            statusCode: 500,
+            headers: getCORSHeaders(event),
+            body: JSON.stringify({
+                error: 'Internal server error',
+                suggestion: 'Please try again in a few moments.'
+            })
+        };
+    }
+};
+
+// Resolve a query into ranked candidates within the city boundary.
+// With includeOutside, candidates beyond it are returned too, flagged withinBoundary: false.
+function geocode(query, limit, includeOutside = false) {
+    const { addressData, boundaryIndex } = getGeocoder();
+    const normalized = normalizeQuery(query);
+
+    const candidates = [
+        ...matchIntersections(normalized, addressData),
+        ...matchAddresses(normalized, addressData),
+        ...matchLandmarks(normalized, addressData),
+        ...matchStreets(normalized, addressData)
+    ];
+
+    // Highest confidence first, keeping one candidate per label
+    const seen = new Set();
+    const confident = candidates
+        .filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+        .sort((a, b) => b.confidence - a.confidence)
+        .filter(candidate => {
+            if (seen.has(candidate.label)) return false;
+            seen.add(candidate.label);
+            return true;
+        });
+
+    // Only count rejections the caller would otherwise have seen
+    const accepted = [];
+    let rejected = 0;
+    for (const candidate of confident) {
+        const withinBoundary = boundaryIndex.queryPoint('boundary', candidate.lat, candidate.lng).length > 0;
+        if (withinBoundary || includeOutside) {
+            accepted.push({ ...candidate, withinBoundary });
+        } else {
+            rejected++;
+        }
+    }
+
+    const ranked = accepted
+        .slice(0, limit)
+        .map(candidate => ({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 }));
+
+    return {
+        query: query,
+        candidates: ranked,
+        rejectedOutsideBoundary: rejected,
+        timestamp: Date.now()
+    };
+}
+
+// Helper: Load the address dataset and city boundary once per warm function
+function getGeocoder() {
+    if (geocoder) return geocoder;
+
+    const addressData = JSON.parse(readDataFile('address-points.json'));
+    const boundary = JSON.parse(readDataFile('City_Boundary.geojson'));
+
+    // Reuse the browser data handler's R-tree and point-in-polygon checks for the boundary
+    const boundaryIndex = new OCPDataHandler();
+    boundaryIndex.data.cityBoundary = boundary;
+    boundaryIndex.buildSpatialIndex('boundary', boundary.features);
+
+    // Street lookup by normalized name, e.g. "6th street" -> { base: "6th", type: "street" }
+    addressData.streetIndex = addressData.streets.map(street => {
+        const name = normalizeQuery(street.name);
+        const words = name.split(' ');
+        const type = STREET_TYPES[words[words.length - 1]] ? words.pop() : null;
+        return { ...street, normalized: name, base: words.join(' '), type };
+    });
+
+    geocoder = { addressData, boundaryIndex };
+    return geocoder;
+}
+
+// Helper: Read a bundled data file (see included_files in netlify.toml)
+function readDataFile(fileName) {
+    const candidates = [
+        path.join(__dirname, '../../data', fileName),
+        path.join(process.cwd(), 'data', fileName)
+    ];
+
+    const filePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!filePath) {
+        throw new Error(`Data file not found: ${fileName}`);
+    }
+
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+// Helper: Lowercase, expand ordinals and street types, and drop city/province suffixes
+function normalizeQuery(text) {
+    return text
+        .toLowerCase()
+        .replace(/,?\s*\b(new westminster|new west|b\.?c\.?|canada)\b/g, ' ')
+        .replace(/\bv3[a-z]\s*\d[a-z]\d\b/g, ' ')  // Postal codes
+        .replace(/[^\w\s&@\/#'-]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ORDINAL_WORDS[word] || STREET_TYPES[word] || word)
+        .join(' ')
+        .trim();
+}
+
+function toOrdinal(number) {
+    const lastTwo = number % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+    return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+// Helper: Streets a piece of text may refer to, with a score for how exactly it names them
+function findStreets(text, addressData) {
+    // Bare street numbers ("6 street", "8 & columbia") name the ordinal street
+    const name = text.trim().replace(/^(\d+)(?=\s|$)/, number => toOrdinal(parseInt(number, 10)));
+    if (!name) return [];
+
+    const exact = addressData.streetIndex.filter(street => street.normalized === name);
+    if (exact.length > 0) {
+        return exact.map(street => ({ street, score: 1 }));
+    }
+
+    // "6th" or "columbia" without a street type
+    return addressData.streetIndex
+        .filter(street => street.base === name)
+        .map(street => ({ street, score: 0.85 }));
+}
+
+// Intersections such as "6th & 6th", "6th st and 6th ave" or "columbia at 8th"
+function matchIntersections(query, addressData) {
+    const parts = query.split(/\s*(?:&|@|\/|\band\b|\bat\b)\s*/).filter(Boolean);
+    if (parts.length !== 2) return [];
+
+    const first = findStreets(parts[0], addressData);
+    const second = findStreets(parts[1], addressData);
+    const matches = [];
+
+    for (const intersection of addressData.intersections) {
+        const [streetA, streetB] = intersection.streets;
+        for (const a of first) {
+            for (const b of second) {
+                const forward = a.street.name === streetA && b.street.name === streetB;
+                const reverse = a.street.name === streetB && b.street.name === streetA;
+                if (forward || reverse) {
+                    matches.push({ intersection, score: Math.min(a.score, b.score) });
+                }
+            }
+        }
+    }
+
+    // Missing street types only count against the match when they leave it ambiguous
+    const unique = new Set(matches.map(match => match.intersection.id)).size === 1;
+
+    return matches.map(({ intersection, score }) => ({
+        type: 'intersection',
+        label: `${intersection.streets[0]} & ${intersection.streets[1]}`,
+        lat: intersection.lat,
+        lng: intersection.lng,
+        confidence: 0.95 * (unique ? 1 : score),
+        source: { id: intersection.id, streets: intersection.streets }
+    }));
+}
+
+// Civic addresses such as "610 6th Street" or "#5-777 Columbia", interpolated between block address points
+function matchAddresses(query, addressData) {
+    const match = query.match(/^(?:(?:unit|suite|#)\s*\w+\s*[-,]?\s*|\w+-)?(\d+)[a-z]?\s+(.+)$/);
+    if (!match) return [];
+
+    const civic = parseInt(match[1], 10);
+    const candidates = [];
+
+    for (const { street, score } of findStreets(match[2], addressData)) {
+        const points = addressData.addressPoints
+            .filter(point => point.street === street.name)
+            .sort((a, b) => a.civic - b.civic);
+        if (points.length === 0) continue;
+
+        const label = `${civic} ${street.name}`;
+        const upper = points.findIndex(point => point.civic >= civic);
+
+        // Civic numbers beyond the street's known range get no candidate, rather than one
+        // placed at the street's end under an address that may not exist
+        if (upper === 0 && points[0].civic === civic) {
+            candidates.push(addressCandidate(label, points[0], 1, score, points[0].id));
+        } else if (upper > 0) {
+            // Interpolate along the block between the surrounding address points
+            const from = points[upper - 1];
+            const to = points[upper];
+            const t = (civic - from.civic) / (to.civic - from.civic);
+            const position = {
+                lat: from.lat + (to.lat - from.lat) * t,
+                lng: from.lng + (to.lng - from.lng) * t
+            };
+            candidates.push(addressCandidate(label, position, t === 0 ? 1 : 0.95, score, from.id));
+        }
+    }
+
+    return candidates;
+}
+
+function addressCandidate(label, position, precision, streetScore, pointId) {
+    return {
+        type: 'address',
+        label: label,
+        lat: Math.round(position.lat * 1e6) / 1e6,
+        lng: Math.round(position.lng * 1e6) / 1e6,
+        confidence: precision * streetScore,
+        source: { id: pointId, interpolated: precision < 1 }
+    };
+}
+
+// Landmarks and neighbourhoods by name or alias
+function matchLandmarks(query, addressData) {
+    const queryWords = query.split(' ').filter(word => word.length > 1);
+    if (queryWords.length === 0) return [];
+
+    const candidates = [];
+
+    for (const landmark of addressData.landmarks) {
+        const names = [landmark.name, ...(landmark.aliases || [])].map(normalizeQuery);
+
+        let score = 0;
+        for (const name of names) {
+            if (name === query) {
+                score = Math.max(score, 0.98);
+            } else if (name.startsWith(query) || query.includes(name)) {
+                score = Math.max(score, 0.85);
+            } else {
+                // Share of the query's words found in the name
+                const nameWords = name.split(' ');
+                const matched = queryWords.filter(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+                const overlap = matched.length / queryWords.length;
+                if (overlap >= 0.5) {
+                    score = Math.max(score, 0.75 * overlap);
+                }
+            }
+        }
+
+        if (score > 0) {
+            candidates.push({
+                type: 'landmark',
+                label: landmark.name,
+                lat: landmark.lat,
+                lng: landmark.lng,
+                confidence: score,
+                source: { id: landmark.id, category: landmark.type, address: landmark.address }
+            });
+        }
+    }
+
+    return candidates;
+}
+
+// A street on its own resolves to the middle of its address points
+function matchStreets(query, addressData) {
+    return findStreets(query, addressData).map(({ street, score }) => {
+        const points = addressData.addressPoints
+            .filter(point => point.street === street.name)
+            .sort((a, b) => a.civic - b.civic);
+        if (points.length === 0) return null;
+
+        const middle = points[Math.floor(points.length / 2)];
+        return {
+            type: 'street',
+            label: street.name,
+            lat: middle.lat,
+            lng: middle.lng,
+            confidence: 0.6 * score,
+            source: { id: middle.id, civicRange: [points[0].civic, points[points.length - 1].civic] }
+        };
+    }).filter(Boolean);
+}
+
+// Helper: Check if origin is allowed
+function isAllowedOrigin(origin) {
+    if (!origin) return false;
+
+    // Check exact matches
+    if (allowedOrigins.includes(origin)) return true;
+
+    // Check if it's a Netlify deploy preview
+    if (origin.includes('--') && origin.includes('.netlify.app')) return true;
+
+    // Check localhost with any port
+    if (origin.match(/^https?:\/\/localhost:\d+$/)) return true;
+
+    return false;
+}
+
+// Helper: Get CORS headers
+function getCORSHeaders(event) {
+    const origin = event.headers.origin;
+    const allowedOrigin = isAllowedOrigin(origin) ? origin : allowedOrigins[0];
+
+    return {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper: Rate limiting check
+function checkRateLimit(clientIP) {
+    const now = Date.now();
+    const windowMs = 60 * 1000; // 1 minute
+    const maxRequests = 60; // Generous enough for type-ahead lookups
+
+    const key = `ratelimit_${clientIP}`;
+    const current = rateLimitStore.get(key);
+
+    if (!current || now > current.resetTime) {
+        rateLimitStore.set(key, {
+            count: 1,
+            resetTime: now + windowMs
+        });
+        return { allowed: true };
+    }
+
+    if (current.count >= maxRequests) {
+        return {
+            allowed: false,
+            resetIn: current.resetTime - now
+        };
+    }
+
+    // Increment count
+    current.count++;
+    rateLimitStore.set(key, current);
+    return { allowed: true };
+}
+
+// Helper: Validate query parameters
+function validateRequest(params) {
+    if (!params.q || typeof params.q !== 'string' || !params.q.trim()) {
+        return { valid: false, error: 'Query parameter "q" is required' };
+    }
+
+    if (params.q.length > MAX_QUERY_LENGTH) {
+        return { valid: false, error: `Query too long (max ${MAX_QUERY_LENGTH} characters)` };
+    }
+
+    if (params.limit !== undefined && !/^\d+$/.test(params.limit)) {
+        return { valid: false, error: 'Limit must be a positive number' };
+    }
+
+    if (params.includeOutside !== undefined && !['true', 'false'].includes(params.includeOutside)) {
+        return { valid: false, error: 'includeOutside must be "true" or "false"' };
+    }
+
+    return { valid: true };
+}
@@ -0,0 +1,131 @@
+// Spatial Index tests for OCP Explorer
+// Run with: node tests/spatial-index.test.js
+
+const assert = require('assert');
+const SpatialIndex = require('../js/spatial-index');
+const OCPDataHandler = require('../js/data-handler');
+
+let failures = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok - ${name}`);
+        console.log(`    ${error.message.split('\n').join('\n    ')}`);
+    }
+}
+
+// Closed [lng, lat] ring for an axis-aligned box
+function box(minX, minY, maxX, maxY) {
+    return [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]];
+}
+
+function polygonFeature(id, rings) {
+    return { type: 'Feature', properties: { id }, geometry: { type: 'Polygon', coordinates: rings } };
+}
+
+function ids(items) {
+    return items.map(item => item.id).sort((a, b) => a - b);
+}
+
+// A 20 x 20 grid of unit boxes, enough for several levels of the tree
+const gridItems = [];
+for (let x = 0; x < 20; x++) {
+    for (let y = 0; y < 20; y++) {
+        gridItems.push({ id: x * 20 + y, minX: x, minY: y, maxX: x + 1, maxY: y + 1 });
+    }
+}
+
+function bruteForce(minX, minY, maxX, maxY) {
+    return gridItems.filter(item =>
+        item.minX <= maxX && item.maxX >= minX && item.minY <= maxY && item.maxY >= minY);
+}
+
+test('getBounds covers every ring of a multipolygon', () => {
+    const bounds = SpatialIndex.getBounds({
+        type: 'MultiPolygon',
+        coordinates: [[box(0, 0, 1, 1)], [box(5, -2, 6, 3)]]
+    });
+    assert.deepStrictEqual(bounds, { minX: 0, minY: -2, maxX: 6, maxY: 3 });
+});
+
+test('search returns nothing from an empty index', () => {
+    const index = new SpatialIndex().load([]);
+    assert.strictEqual(index.size, 0);
+    assert.deepStrictEqual(index.search(-180, -90, 180, 90), []);
+});
+
+test('search matches a brute-force scan', () => {
+    const index = new SpatialIndex(4).load(gridItems);
+    assert.strictEqual(index.size, gridItems.length);
+
+    const queries = [
+        [2.5, 2.5, 4.5, 3.5],
+        [-5, -5, 0.5, 0.5],
+        [19.5, 19.5, 30, 30],
+        [-10, -10, 30, 30],
+        [100, 100, 101, 101]
+    ];
+    queries.forEach(query => {
+        assert.deepStrictEqual(ids(index.search(...query)), ids(bruteForce(...query)), `box ${query.join(', ')}`);
+    });
+});
+
+test('searchPoint includes boxes that only touch the point', () => {
+    const index = new SpatialIndex(4).load(gridItems);
+    // Corner shared by four boxes
+    assert.deepStrictEqual(ids(index.searchPoint(3, 3)), [42, 43, 62, 63]);
+    assert.deepStrictEqual(ids(index.searchPoint(3.5, 3.5)), [63]);
+});
+
+// Synthetic layer: a square with a square hole, an overlapping square, and a two-part multipolygon
+const features = [
+    polygonFeature(1, [box(0, 0, 10, 10), box(4, 4, 6, 6)]),
+    polygonFeature(2, [box(8, 8, 12, 12)]),
+    {
+        type: 'Feature',
+        properties: { id: 3 },
+        geometry: { type: 'MultiPolygon', coordinates: [[box(20, 0, 21, 1)], [box(30, 0, 31, 1)]] }
+    }
+];
+
+const dataHandler = new OCPDataHandler();
+dataHandler.buildSpatialIndex('test', features);
+
+// queryPoint takes (lat, lng), the ring coordinates are [lng, lat]
+function queryIds(lng, lat) {
+    return dataHandler.queryPoint('test', lat, lng).map(feature => feature.properties.id).sort();
+}
+
+test('queryPoint finds the polygon containing a point', () => {
+    assert.deepStrictEqual(queryIds(2, 2), [1]);
+});
+
+test('queryPoint leaves out a point inside a polygon hole', () => {
+    assert.deepStrictEqual(queryIds(5, 5), []);
+    // Just outside the hole is back inside the polygon
+    assert.deepStrictEqual(queryIds(3.9, 5), [1]);
+});
+
+test('queryPoint returns every overlapping feature', () => {
+    assert.deepStrictEqual(queryIds(9, 9), [1, 2]);
+});
+
+test('queryPoint checks each part of a multipolygon, not its bounding box', () => {
+    assert.deepStrictEqual(queryIds(30.5, 0.5), [3]);
+    // Inside the multipolygon's bounding box but between its parts
+    assert.deepStrictEqual(queryIds(25, 0.5), []);
+});
+
+test('queryPoint returns nothing outside every feature', () => {
+    assert.deepStrictEqual(queryIds(-1, -1), []);
+});
+
+if (failures > 0) {
+    console.log(`\n${failures} test(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll spatial index tests passed');